@@ -3,6 +3,8 @@
  * 管理擴充套件的全域設定和狀態
  */
 
+importScripts('site-policy.js', 'key-bindings.js');
+
 class SmartTOCBackground {
   constructor() {
     this.init();
@@ -20,6 +22,11 @@ class SmartTOCBackground {
       return true; // 保持訊息通道開啟
     });
     
+    // 監聽全域快捷鍵
+    chrome.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+    
     // 監聽標籤頁更新
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       this.handleTabUpdate(tabId, changeInfo, tab);
@@ -51,8 +58,15 @@ class SmartTOCBackground {
       minTextLength: 1000,
       supportedHeadings: ['H1', 'H2', 'H3', 'H4'],
       autoCollapse: false,
+      assignHeadingIds: false,
+      preferRealHeadings: true,
+      filterBoilerplate: true,
+      activationLine: 30,
+      highlightVisible: false,
       theme: 'auto', // auto, light, dark
       position: 'smart', // smart, right, left
+      keyboardNavigation: true,
+      keyBindings: SmartTOCKeyBindings.DEFAULTS,
       excludedSites: [
         'chrome://*',
         'chrome-extension://*',
@@ -67,6 +81,7 @@ class SmartTOCBackground {
         smartTocSettings: defaultSettings,
         smartTocVersion: chrome.runtime.getManifest().version
       });
+      await chrome.storage.local.set({ smartTocSiteRules: [] });
     } catch (error) {
       console.error('無法儲存預設設定:', error);
     }
@@ -85,8 +100,15 @@ class SmartTOCBackground {
         minTextLength: 1000,
         supportedHeadings: ['H1', 'H2', 'H3', 'H4'],
         autoCollapse: false,
+        assignHeadingIds: false,
+        preferRealHeadings: true,
+        filterBoilerplate: true,
+        activationLine: 30,
+        highlightVisible: false,
         theme: 'auto',
         position: 'smart',
+        keyboardNavigation: true,
+        keyBindings: SmartTOCKeyBindings.DEFAULTS,
         excludedSites: [
           'chrome://*',
           'chrome-extension://*',
@@ -96,7 +118,16 @@ class SmartTOCBackground {
         ]
       };
       
-      const updatedSettings = { ...defaultSettings, ...currentSettings };
+      // 舊版將網站規則存在 smartTocSettings 中，搬移到 storage.local
+      const { siteRules, ...syncSettings } = currentSettings;
+      if (Array.isArray(siteRules)) {
+        const local = await chrome.storage.local.get(['smartTocSiteRules']);
+        if (!Array.isArray(local.smartTocSiteRules)) {
+          await chrome.storage.local.set({ smartTocSiteRules: siteRules });
+        }
+      }
+      
+      const updatedSettings = { ...defaultSettings, ...syncSettings };
       
       await chrome.storage.sync.set({
         smartTocSettings: updatedSettings,
@@ -131,10 +162,18 @@ class SmartTOCBackground {
     }
   }
   
+  /**
+   * 網站規則（含設定檔與封鎖清單）存在 storage.local 的 smartTocSiteRules，
+   * 避免超過 storage.sync 單一項目 8 KB 的上限；其餘設定存在 storage.sync 的 smartTocSettings
+   */
   async getSettings() {
     try {
       const result = await chrome.storage.sync.get(['smartTocSettings']);
-      return result.smartTocSettings || {};
+      const local = await chrome.storage.local.get(['smartTocSiteRules']);
+      const settings = result.smartTocSettings || {};
+      
+      // 尚未搬移的舊設定仍使用 smartTocSettings 中的網站規則
+      return Array.isArray(local.smartTocSiteRules) ? { ...settings, siteRules: local.smartTocSiteRules } : settings;
     } catch (error) {
       console.error('無法獲取設定:', error);
       return {};
@@ -144,16 +183,21 @@ class SmartTOCBackground {
   async updateSettings(newSettings) {
     try {
       const currentResult = await chrome.storage.sync.get(['smartTocSettings']);
-      const currentSettings = currentResult.smartTocSettings || {};
+      const { siteRules: legacyRules, ...currentSettings } = currentResult.smartTocSettings || {};
+      const { siteRules, ...syncSettings } = newSettings;
       
-      const updatedSettings = { ...currentSettings, ...newSettings };
+      if (siteRules !== undefined) {
+        await chrome.storage.local.set({ smartTocSiteRules: siteRules });
+      } else if (legacyRules !== undefined) {
+        await chrome.storage.local.set({ smartTocSiteRules: legacyRules });
+      }
       
       await chrome.storage.sync.set({
-        smartTocSettings: updatedSettings
+        smartTocSettings: { ...currentSettings, ...syncSettings }
       });
       
       // 通知所有標籤頁設定已更新
-      this.notifySettingsUpdate(updatedSettings);
+      this.notifySettingsUpdate(await this.getSettings());
       
       return { success: true };
     } catch (error) {
@@ -181,6 +225,25 @@ class SmartTOCBackground {
     }
   }
   
+  async handleCommand(command, tab) {
+    try {
+      let targetTab = tab;
+      if (!targetTab) {
+        [targetTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      }
+      
+      if (!targetTab || !targetTab.id) return;
+      
+      await chrome.tabs.sendMessage(targetTab.id, {
+        type: 'TOC_COMMAND',
+        command: command
+      });
+    } catch (error) {
+      // 該頁面沒有 content script（例如 chrome:// 頁面）
+      console.log('無法傳送快捷鍵指令:', error);
+    }
+  }
+  
   async getTabInfo(tabId) {
     try {
       const tab = await chrome.tabs.get(tabId);
@@ -214,22 +277,15 @@ class SmartTOCBackground {
   
   async onTabLoaded(tab) {
     try {
-      // 檢查是否為排除的網站
+      // 依網站規則標示此頁面是否停用
       const settings = await this.getSettings();
-      const excludedSites = settings.excludedSites || [];
+      const policy = SmartTOCSitePolicy.evaluate(tab.url, settings);
       
-      const isExcluded = excludedSites.some(pattern => {
-        // 簡單的萬用字元匹配
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        return regex.test(tab.url);
+      await chrome.action.setBadgeText({
+        tabId: tab.id,
+        text: policy.allowed ? '' : 'OFF'
       });
       
-      if (isExcluded) {
-        return;
-      }
-      
-      // 可以在這裡執行額外的初始化邏輯
-      
     } catch (error) {
       console.error('標籤頁載入處理失敗:', error);
     }
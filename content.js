@@ -4,14 +4,163 @@
  */
 
 class SmartTOC {
+  // 閱讀紀錄最多保留的文章數與保存期限
+  static get READING_HISTORY_LIMIT() {
+    return 50;
+  }
+  
+  static get READING_HISTORY_MAX_AGE() {
+    return 30 * 24 * 60 * 60 * 1000;
+  }
+  
+  // 可匯出的目錄格式
+  static get EXPORT_FORMATS() {
+    return {
+      markdown: { extension: 'md', mimeType: 'text/markdown' },
+      html: { extension: 'html', mimeType: 'text/html' },
+      json: { extension: 'json', mimeType: 'application/json' },
+      opml: { extension: 'opml', mimeType: 'text/x-opml' }
+    };
+  }
+  
+  // 分享、相關文章、留言等非內文區塊的標題（比對正規化後的完整文字，可帶數量，如「Comments (12)」）
+  static get BOILERPLATE_HEADING_PATTERNS() {
+    return [
+      // 分享
+      /^(share( this( post| article| page| story)?)?|share on .+|分享(此文|本文|這篇文章|到.+)?|シェア(する)?|공유(하기)?|compartir|partager|teilen)[:：]?$/,
+      // 相關文章與推薦
+      /^(related( posts| articles| stories| content| reading)?|you (may|might) also like|more (stories|articles|posts)( from .+)?|recommended( for you| reading)?|popular posts|相關(文章|閱讀|推薦)|延伸閱讀|推薦(閱讀|文章)|熱門文章|猜你喜歡|相关(文章|阅读|推荐)|延伸阅读|推荐(阅读|文章)|热门文章|关联文章|関連記事|おすすめ記事|관련\s?(글|기사)|artículos relacionados|articles (similaires|connexes)|ähnliche artikel|weitere artikel)[:：]?$/,
+      // 訂閱
+      /^(subscribe( to .+)?|sign up for .+|newsletter|stay (updated|in touch)|follow us|訂閱(電子報)?|订阅|關注我們|关注我们|ニュースレター|購読)[:：]?$/,
+      // Cookie 與隱私提示
+      /^(we (use|value) cookies.*|this (website|site) uses cookies.*|cookies?( settings| preferences| policy| consent| notice)?|manage (cookies|consent)|your privacy( choices)?|privacy (settings|preferences)|隱私權?(設定|聲明|政策)|cookie\s*(設定|政策|聲明)|隐私(设置|政策)|クッキー.*)$/
+    ];
+  }
+  
+  // 留言、目錄、標籤、「Read more」等字詞也常是內文的章節名稱，只排除主要文章之外或留言、標籤等區塊中的標題
+  static get CONTEXTUAL_BOILERPLATE_PATTERNS() {
+    return [
+      // 留言
+      /^(\d+\s*)?(comments?|responses?|replies|discussion|leave a (comment|reply)|post a comment|join the discussion|留言|評論|回應|發表(評論|留言)|留言區|評論區|评论|发表评论|评论区|コメント|댓글|comentarios|commentaires|kommentare)(\s*[(（]?\d+[)）]?)?[:：]?$/,
+      // 頁面內建的目錄
+      /^(table of contents|contents|目錄|目录|目次|inhaltsverzeichnis|índice|sommaire)$/,
+      // 繼續閱讀
+      /^(read (more|next)|繼續閱讀|继续阅读|閱讀更多|阅读更多)[:：]?$/,
+      // 上一篇 / 下一篇、標籤與作者資訊
+      /^((previous|next) (post|article)|tags|categories|about the author|上一篇|下一篇|標籤|分類|關於作者|作者簡介|上一篇文章|下一篇文章|标签|分类|关于作者)[:：]?$/
+    ];
+  }
+  
+  static get CONTEXTUAL_BOILERPLATE_REGIONS() {
+    return [
+      '[id*="comment" i]', '[class*="comment" i]', '[id*="discussion" i]', '[class*="discussion" i]',
+      '[id*="respond" i]', '[class*="respond" i]', '[id*="table-of-contents" i]', '[class*="table-of-contents" i]',
+      '[class*="tags" i]', '[class*="categories" i]', '[class*="author-bio" i]', '[class*="post-navigation" i]',
+      '[class*="read-more" i]', '[class*="related" i]'
+    ].join(', ');
+  }
+  
+  // 這些區塊中的標題不屬於內文：側欄、導覽列、頁尾、對話框與 Cookie 提示
+  static get BOILERPLATE_REGIONS() {
+    return [
+      'aside', 'nav', 'footer',
+      '[role="complementary"]', '[role="navigation"]', '[role="contentinfo"]',
+      '[role="dialog"]', '[role="alertdialog"]', '[aria-modal="true"]',
+      '[id*="cookie" i]', '[class*="cookie" i]', '[id*="consent" i]', '[class*="consent" i]',
+      '[id*="gdpr" i]', '[class*="gdpr" i]'
+    ].join(', ');
+  }
+  
+  // 影響標題尋找或內容分析的設定，改變時需重新分析頁面；其餘設定（主題、位置、啟用線等）直接套用
+  static get HEADING_SETTING_KEYS() {
+    return [
+      'minHeadings', 'minTextLength', 'supportedHeadings', 'profile', 'assignHeadingIds',
+      'preferRealHeadings', 'filterBoilerplate', 'headingBlocklist'
+    ];
+  }
+  
+  // 推測標題：可能代替標題的元素（粗體段落、<strong> 單行、大字 div）
+  static get PSEUDO_HEADING_CANDIDATES() {
+    return 'p, div, dt, center, b, strong, font';
+  }
+  
+  // 位於這些元素內的文字不會是章節標題
+  static get PSEUDO_HEADING_IGNORED() {
+    return 'a, button, label, li, td, th, caption, figcaption, blockquote, pre, code, nav, header, footer, aside, form';
+  }
+  
+  // 推測標題的最低分數，見 scorePseudoHeading
+  // 每次最多計算樣式的候選元素數，避免在非文章的大型頁面上逐一計算
+  static get PSEUDO_HEADING_MAX_CANDIDATES() {
+    return 300;
+  }
+  
+  static get PSEUDO_HEADING_MIN_SCORE() {
+    return 1.5;
+  }
+  
   constructor() {
+    this.host = null;            // Shadow DOM 的宿主元素，目錄面板位於其封閉的 shadow root 中
+    this.shadowRoot = null;
+    this.styleSheet = null;      // 所有 shadow root 共用的目錄樣式表
     this.container = null;
     this.tocList = null;
     this.headings = [];
     this.currentActiveIndex = 0;
     this.isCollapsed = false;
+    this.isHidden = false;
+    this.foldedIndices = new Set();   // 已摺疊子章節的項目索引
+    this.treeNodes = [];              // 標題樹節點，與 headings 索引對應
+    this.itemSignatures = new WeakMap();   // 目錄項目建立時的標題文字與錨點，判斷能否重用
+    this.filterQuery = '';            // 搜尋框內容，重建目錄時保留
+    this.filterMatches = [];          // 符合搜尋的項目索引（依文件順序）
+    this.sectionMetrics = [];         // 各章節字數與預估閱讀時間，與 headings 索引對應
+    this.tocLinks = [];               // 目錄連結，與 headings 索引對應（建立或更新目錄時收集）
+    this.readState = '';              // 已讀標示對應的目前章節與是否讀完，改變時才更新連結
+    this.headingFingerprints = [];    // 各標題的書籤指紋，與 headings 索引對應
+    this.bookmarks = {};              // 此頁面的書籤，以標題指紋為鍵
     this.isDragging = false;
+    this.isStarted = false;
+    this.isAllowed = false;
+    this.hasRouteListeners = false;   // 路由監聽在頁面被網站規則停用時也會安裝
+    this.routeURL = '';               // 路由監聽最後處理的網址
+    this.routePollTimer = null;       // 網址輪詢只在頁面允許時執行
     this.position = { x: 0, y: 0 };
+    this.savedPosition = null;   // 此網站拖曳後儲存的位置（相對最近的視窗邊緣）
+    this.resumeEntry = null;     // 上次的閱讀位置，尚未繼續或略過前顯示提示
+    this.readingProgress = 0;
+    this.scrollContainer = null; // 內容所在的滾動容器，由視窗捲動時為 null
+    this.stickyOffset = 0;       // 固定導覽列遮住的高度
+    this.visibleHeadings = new Set();   // 畫面中可見的標題索引（由 IntersectionObserver 更新）
+    this.visibleRange = '';      // 目前標示為可見的章節範圍
+    this.handledLocation = '';   // 已處理過錨點的網址，避免重建目錄時重複跳轉
+    this.assignedIds = new WeakSet();   // assignHeadingIds 開啟時由目錄寫入 id 的標題元素
+    this.deepScopes = [];        // 內容中開放的 shadow root 與同源 iframe 的 body（由 findHeadings 收集）
+    this.deepFrames = [];        // 內容中的 iframe，載入新文件後需重新尋找標題
+    this.observedScopes = new WeakSet();   // 已加入 MutationObserver 的 shadow root 與 iframe 文件
+    this.pseudoElements = new WeakSet();   // 目前目錄中推測標題的元素，其文字變動時需更新目錄
+    this.headingFilterStats = {};     // 最近一次尋找標題時各過濾規則排除的數量
+    this.bodyTextStyle = null;        // 推測標題用的內文樣式，依內容區域快取
+    this.scopeHosts = new Map();      // 各範圍（內容區域、shadow root、iframe body）中的 shadow 宿主與 iframe，由 MutationObserver 更新
+    
+    // 最近一次內容分析結果（供 popup 查詢狀態）
+    this.analysis = {
+      headingsCount: 0,
+      pseudoHeadingsCount: 0,
+      filteredHeadings: {},
+      textLength: 0,
+      contentRoot: null,
+      contentScore: null,
+      reason: '尚未分析'
+    };
+    
+    // 偵測到的主要內容區域（快取，路由變化或重新生成時重新偵測）
+    this.contentRoot = null;
+    this.contentScore = null;
+    
+    // 版面分析結果（文字欄位置與固定元素），視窗或內容區域改變時重新分析
+    this.layoutCache = null;
+    this.layoutStats = null;     // 最近一次分析的耗時（供 popup 查詢）
     
     // 觀察器
     this.mutationObserver = null;
@@ -20,14 +169,35 @@ class SmartTOC {
     
     // 配置
     this.config = {
+      enabled: true,
       minHeadings: 3,        // 最少標題數量才顯示
       minTextLength: 1000,   // 最少文字長度
-      supportedHeadings: ['H1', 'H2', 'H3', 'H4'],
+      supportedHeadings: ['H1', 'H2', 'H3', 'H4'],   // 標題層級範圍（H1–H6），同時套用到 ARIA 標題
+      keyboardNavigation: true,
+      keyBindings: {},       // 覆寫預設的目錄內按鍵，見 SmartTOCKeyBindings.DEFAULTS
+      autoCollapse: false,   // 只展開目前章節所在的分支
+      assignHeadingIds: false,   // 將產生的錨點 id 寫入頁面標題（預設只在目錄內部使用）
+      preferRealHeadings: true,  // 頁面標題足夠時不推測標題；關閉時兩者合併
+      filterBoilerplate: true,   // 排除分享、留言、相關文章及側欄、頁尾等區塊中的標題
+      headingBlocklist: [],  // 網站規則中封鎖的標題文字，以 css: 開頭的為選擇器
+      activationLine: 30,    // 啟用線：標題越過可見區域上方此百分比處即成為目前章節
+      highlightVisible: false,   // 同時標示畫面中所有可見的章節
+      theme: 'auto',         // auto, light, dark
+      position: 'smart',     // smart, right, left
+      profile: null,         // 網站選擇器設定檔 { contentRoot, headingSelectors, excludeSelectors }
+      wordsPerMinute: 200,   // 預估閱讀時間：每分鐘閱讀的單字數
+      charsPerMinute: 400,   // 預估閱讀時間：每分鐘閱讀的中日韓文字數
       updateDelay: 300       // 防抖延遲
     };
     
+    // 預設配置與儲存的原始設定，實際配置由兩者與網站規則合併而成
+    this.defaultConfig = { ...this.config };
+    this.settings = {};
+    this.invalidSelectors = new Set();
+    
     // 防抖函數
     this.debounce = this.createDebounce();
+    this.saveDebounce = this.createDebounce();
     
     this.init();
   }
@@ -35,27 +205,55 @@ class SmartTOC {
   // ===== 初始化 =====
   async init() {
     try {
-      // 檢查網站相容性
-      if (!this.isCompatibleSite()) {
-        return;
-      }
+      // 監聽來自 popup / background 的訊息
+      this.setupMessageListener();
+      
+      // 載入目錄樣式
+      await this.loadStyleSheet();
       
       // 載入用戶設定
       await this.loadSettings();
+      await this.loadSavedPosition();
+      await this.loadReadingPosition();
+      await this.loadBookmarks();
       
-      // 等待頁面內容載入完成
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => this.start());
-      } else {
-        this.start();
+      // 檢查網站規則；SPA 之後可能切換到允許的網址（如從 /login 進入文章），仍需監聽路由變化
+      if (!this.updateSitePolicy()) {
+        this.setupSPAListeners();
+        return;
       }
       
+      this.startWhenReady();
+      
     } catch (error) {
       console.error('Smart TOC 初始化失敗:', error);
     }
   }
   
+  // 樣式只套用在目錄的 Shadow DOM 中，不注入網頁
+  async loadStyleSheet() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('content.css'));
+      this.styleSheet = new CSSStyleSheet();
+      this.styleSheet.replaceSync(await response.text());
+    } catch (error) {
+      console.error('無法載入目錄樣式:', error);
+    }
+  }
+  
+  startWhenReady() {
+    // 等待頁面內容載入完成
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.start(), { once: true });
+    } else {
+      this.start();
+    }
+  }
+  
   start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+    
     // 建立目錄
     this.buildTOC();
     
@@ -63,39 +261,31 @@ class SmartTOC {
     this.setupObservers();
     this.setupSPAListeners();
     this.setupScrollListener();
+    this.setupStorageListener();
     
     console.log('Smart TOC 已啟動');
   }
   
-  // ===== 網站相容性檢測 =====
-  isCompatibleSite() {
-    // 排除不適合的網站
-    const blacklist = [
-      'chrome://',
-      'chrome-extension://',
-      'moz-extension://',
-      'about:',
-      'file://'
-    ];
+  // ===== 網站規則 =====
+  updateSitePolicy() {
+    const url = window.location.href;
     
-    const currentURL = window.location.href;
-    if (blacklist.some(pattern => currentURL.startsWith(pattern))) {
-      return false;
-    }
+    // 合併此網站規則的覆寫設定
+    this.config = {
+      ...this.defaultConfig,
+      ...SmartTOCSitePolicy.resolveSettings(url, this.settings)
+    };
     
-    // 檢查是否為管理後台等不適合的頁面
-    const adminPatterns = [
-      '/admin',
-      '/dashboard',
-      '/login',
-      '/wp-admin'
-    ];
+    const result = SmartTOCSitePolicy.evaluate(url, this.settings);
+    this.isAllowed = result.allowed;
     
-    if (adminPatterns.some(pattern => currentURL.includes(pattern))) {
-      return false;
+    if (!result.allowed) {
+      this.analysis.reason = result.reason;
     }
     
-    return true;
+    this.updateRoutePolling();
+    
+    return result.allowed;
   }
   
   // ===== 內容分析 =====
@@ -103,14 +293,26 @@ class SmartTOC {
     const headings = this.findHeadings();
     const textLength = this.getTextLength();
     
+    this.analysis = {
+      headingsCount: headings.length,
+      pseudoHeadingsCount: headings.filter(heading => heading.pseudo).length,
+      filteredHeadings: this.headingFilterStats,
+      textLength: textLength,
+      contentRoot: this.describeElement(this.getContentRoot()),
+      contentScore: this.contentScore,
+      reason: null
+    };
+    
     // 檢查是否符合啟用條件
     if (headings.length < this.config.minHeadings) {
-      console.log(`標題數量不足: ${headings.length} < ${this.config.minHeadings}`);
+      this.analysis.reason = `標題數量不足: ${headings.length} < ${this.config.minHeadings}`;
+      console.log(this.analysis.reason);
       return false;
     }
     
     if (textLength < this.config.minTextLength) {
-      console.log(`文字長度不足: ${textLength} < ${this.config.minTextLength}`);
+      this.analysis.reason = `文字長度不足: ${textLength} < ${this.config.minTextLength}`;
+      console.log(this.analysis.reason);
       return false;
     }
     
@@ -119,34 +321,110 @@ class SmartTOC {
   }
   
   findHeadings() {
-    const selector = this.config.supportedHeadings.map(h => h.toLowerCase()).join(',');
-    const elements = document.querySelectorAll(selector);
+    // 只在主要內容區域中尋找標題，排除導覽列、頁尾等處的標題
+    const root = this.getContentRoot();
+    const context = { scopes: [], frames: [] };
+    const elements = this.deepQuerySelectorAll(root, this.getHeadingSelector(), context);
+    const excludeSelector = this.getExcludeSelector();
     
-    const headings = [];
-    elements.forEach((el, index) => {
+    this.deepScopes = context.scopes;
+    this.deepFrames = context.frames;
+    this.observeDeepScopes();
+    
+    let candidates = [];
+    elements.forEach(el => {
+      // 排除設定檔指定的區塊（側欄、留言、頁尾等）
+      if (excludeSelector && el.closest(excludeSelector)) {
+        return;
+      }
+      
       // 過濾掉不可見或很短的標題
       if (this.isVisibleHeading(el)) {
-        headings.push({
-          element: el,
-          text: el.textContent.trim(),
-          level: parseInt(el.tagName.charAt(1)),
-          id: el.id || `toc-heading-${index}`,
-          index: index
-        });
-        
-        // 確保有 ID 供錨點使用
-        if (!el.id) {
-          el.id = `toc-heading-${index}`;
-        }
+        candidates.push({ element: el, level: this.getHeadingLevel(el), pseudo: false });
+      }
+    });
+    
+    const filterStats = {};
+    const filterRules = this.getHeadingFilterRules(root);
+    candidates = this.filterHeadings(candidates, filterRules, filterStats);
+    
+    // 頁面沒有足夠的標題時（或設定為合併），推測以粗體段落、大字 div 代替的標題
+    // 文字長度不足的頁面不會顯示目錄，不必推測標題（需在收集 shadow root 與 iframe 之後計算）
+    const needsPseudo = !this.config.preferRealHeadings || candidates.length < this.config.minHeadings;
+    if (needsPseudo && this.getTextLength() >= this.config.minTextLength) {
+      const pseudo = this.filterHeadings(this.findPseudoHeadings(root, excludeSelector), filterRules, filterStats);
+      candidates = this.mergePseudoHeadings(candidates, pseudo);
+    }
+    
+    // 合併推測標題後再處理重複，頁首與文章開頭重複的標題可能分屬兩者
+    candidates = this.collapseDuplicateHeadings(candidates, filterStats);
+    this.headingFilterStats = filterStats;
+    
+    const headings = [];
+    const slugger = this.createSlugger();
+    this.pseudoElements = new WeakSet();
+    candidates.forEach(({ element: el, level, pseudo }, index) => {
+      const text = el.textContent.trim();
+      
+      // 沒有 id 的標題以文字產生錨點，只在目錄內使用，不改動頁面
+      if (!el.id && this.config.assignHeadingIds) {
+        el.id = slugger.slug(text, el);
+        this.assignedIds.add(el);
+      }
+      
+      if (pseudo) {
+        this.pseudoElements.add(el);
       }
+      
+      headings.push({
+        element: el,
+        text: text,
+        level: level,
+        id: el.id || slugger.slug(text, el),
+        generatedId: !el.id || this.assignedIds.has(el),
+        pseudo: pseudo,
+        index: index
+      });
     });
     
     return headings;
   }
   
+  /**
+   * 建立錨點產生器：GitHub 風格，保留中日韓文字，重複的錨點依序加上 -1、-2
+   * 也會避開頁面上其他元素已使用的 id
+   * @returns {{ slug: (text: string, element: Element) => string }}
+   */
+  createSlugger() {
+    const used = new Set();
+    
+    return {
+      slug: (text, element) => {
+        const base = text
+          .toLowerCase()
+          .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+          .replace(/[\s-]+/g, '-')
+          .replace(/^-+|-+$/g, '') || 'section';
+          
+        let slug = base;
+        for (let count = 1; used.has(slug) || this.isIdTaken(slug, element); count++) {
+          slug = `${base}-${count}`;
+        }
+        
+        used.add(slug);
+        return slug;
+      }
+    };
+  }
+  
+  isIdTaken(id, element) {
+    const existing = document.getElementById(id);
+    return Boolean(existing) && existing !== element;
+  }
+  
   isVisibleHeading(element) {
-    // 檢查元素是否可見
-    const style = window.getComputedStyle(element);
+    // 檢查元素是否可見（iframe 內的元素需使用其所在視窗計算樣式）
+    const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
     if (style.display === 'none' || style.visibility === 'hidden') {
       return false;
     }
@@ -166,290 +444,3153 @@ class SmartTOC {
     return true;
   }
   
-  getTextLength() {
-    // 計算主要內容區域的文字長度
-    const contentSelectors = [
-      'article',
-      'main',
-      '.content',
-      '.post',
-      '.entry',
-      '#content',
-      '.article-body',
-      '.post-content'
+  getHeadingLevel(element) {
+    // 設定檔中的選擇器優先，依序取第一個符合的對應層級
+    const mapping = this.getProfileHeadingSelectors().find(item => element.matches(item.selector));
+    if (mapping && mapping.level) {
+      return mapping.level;
+    }
+    
+    const ariaLevel = parseInt(element.getAttribute('aria-level'));
+    if (ariaLevel >= 1 && ariaLevel <= 6) {
+      return ariaLevel;
+    }
+    
+    const tagMatch = /^H([1-6])$/.exec(element.tagName);
+    return tagMatch ? parseInt(tagMatch[1]) : 2;
+  }
+  
+  // ===== 標題過濾 =====
+  /**
+   * 標題過濾規則，依序套用；每次尋找標題只建立一次
+   * @param {Element} root - 內容區域
+   * @returns {Array<{name: string, test: (element: Element, text: string) => boolean}>}
+   */
+  getHeadingFilterRules(root) {
+    const blocklist = this.getHeadingBlocklist();
+    const rules = [
+      // 使用者為此網站封鎖的標題文字與選擇器
+      {
+        name: 'blocked',
+        test: (element, text) => blocklist.texts.includes(text) ||
+          Boolean(blocklist.selector && element.closest(blocklist.selector))
+      }
     ];
     
-    let contentElement = null;
-    for (const selector of contentSelectors) {
-      contentElement = document.querySelector(selector);
-      if (contentElement) break;
+    if (this.config.filterBoilerplate) {
+      const siteNames = this.getSiteNames();
+      const article = this.getMainArticle(root);
+      rules.push(
+        // 側欄、導覽列、頁尾、網站頁首與 Cookie 提示中的標題
+        { name: 'region', test: (element) => this.isInBoilerplateRegion(element, root) },
+        // 分享、相關文章、留言等固定區塊的標題
+        {
+          name: 'boilerplate',
+          test: (element, text) => SmartTOC.BOILERPLATE_HEADING_PATTERNS.some(pattern => pattern.test(text)) ||
+            (SmartTOC.CONTEXTUAL_BOILERPLATE_PATTERNS.some(pattern => pattern.test(text)) &&
+              this.isOutsideMainArticle(element, root, article))
+        },
+        // 重複網站名稱的標題（如每頁都有的站名 H1）
+        { name: 'siteName', test: (element, text) => siteNames.includes(text) }
+      );
     }
     
-    if (!contentElement) {
-      contentElement = document.body;
+    return rules;
+  }
+  
+  /**
+   * 排除符合任一規則的標題（連續重複的標題另由 collapseDuplicateHeadings 處理）
+   * @param {Array<{element: Element}>} candidates - 依文件順序排列的標題
+   * @param {Object} stats - 累計各規則排除的數量（供 popup 顯示）
+   */
+  filterHeadings(candidates, rules, stats = {}) {
+    return candidates.filter(item => {
+      const text = this.normalizeHeadingText(item.element.textContent);
+      const rule = rules.find(({ test }) => test(item.element, text));
+      if (rule) {
+        stats[rule.name] = (stats[rule.name] || 0) + 1;
+      }
+      return !rule;
+    });
+  }
+  
+  /**
+   * 合併重複的標題：
+   * - 連續出現的相同標題，例如頁首與文章開頭重複的標題、巢狀的標題元素（h2 內的 [role=heading]）或同時存在的響應式版本
+   * - 最上層的標題與先前同層級的標題相同時（如頁首與頁尾前重複出現的站名 H1）只保留第一個；
+   *   較深層的重複標題（如每個章節下的「範例」）屬於不同章節，不合併
+   */
+  collapseDuplicateHeadings(headings, stats) {
+    const texts = headings.map(item => this.normalizeHeadingText(item.element.textContent));
+    const topLevel = Math.min(...headings.map(item => item.level));
+    const seenTopLevel = new Set();
+    
+    return headings.filter((item, index) => {
+      const repeated = item.level === topLevel && seenTopLevel.has(texts[index]);
+      if (item.level === topLevel) {
+        seenTopLevel.add(texts[index]);
+      }
+      
+      const duplicate = repeated || (index > 0 && texts[index] === texts[index - 1]);
+      if (duplicate) {
+        stats.duplicate = (stats.duplicate || 0) + 1;
+      }
+      return !duplicate;
+    });
+  }
+  
+  normalizeHeadingText(text) {
+    return text.normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+  
+  isInBoilerplateRegion(element, root) {
+    // 內容區域本身位於這類區塊中時（例如設定檔指定側欄為內容）不排除
+    const region = element.closest(SmartTOC.BOILERPLATE_REGIONS);
+    if (region && !region.contains(root)) {
+      return true;
     }
     
-    return contentElement.textContent.trim().length;
+    // 網站頁首；文章或主要內容中的 header 則屬於章節本身
+    const header = element.closest('header, [role="banner"]');
+    return Boolean(header) && !header.contains(root) && !header.closest('article, main, [role="main"]');
   }
   
-  // ===== TOC 建立 =====
-  buildTOC() {
-    if (!this.analyzeContent()) {
-      this.removeTOC();
-      return;
+  /**
+   * 內容區域所屬的主要文章：內容區域本身或其外層的 article，
+   * 否則為內容區域中唯一的 article；無法判斷時回傳 null
+   */
+  getMainArticle(root) {
+    const selector = 'article, [role="article"]';
+    const outer = root.closest(selector);
+    if (outer) return outer;
+    
+    const articles = root.querySelectorAll(selector);
+    return articles.length === 1 ? articles[0] : null;
+  }
+  
+  isOutsideMainArticle(element, root, article) {
+    const region = element.closest(SmartTOC.CONTEXTUAL_BOILERPLATE_REGIONS);
+    if (region && !region.contains(root)) {
+      return true;
     }
     
-    // 如果已存在，先移除
-    this.removeTOC();
+    return Boolean(article) && !article.contains(element);
+  }
+  
+  /**
+   * 網站名稱：og:site_name、application-name，
+   * 以及頁面標題中與網域相符的第一段或最後一段（如「文章標題 | 站名」）
+   */
+  getSiteNames() {
+    const names = ['meta[property="og:site_name"]', 'meta[name="application-name"]']
+      .map(selector => document.querySelector(selector))
+      .filter(meta => meta && meta.content)
+      .map(meta => meta.content);
+      
+    const compact = (text) => this.normalizeHeadingText(text).replace(/[^\p{L}\p{N}]/gu, '');
+    const hostname = compact(window.location.hostname);
+    const segments = document.title.split(/\s+[-–—·•:|｜]\s+|\s*[|｜]\s*/).filter(segment => segment.trim());
+    if (segments.length >= 2) {
+      [segments[0], segments[segments.length - 1]]
+        .filter(segment => compact(segment).length >= 3 && hostname.includes(compact(segment)))
+        .forEach(segment => names.push(segment));
+    }
     
-    // 建立容器
-    this.createContainer();
+    return names.map(name => this.normalizeHeadingText(name)).filter(name => name);
+  }
+  
+  /**
+   * 網站規則中封鎖的標題：每行一條標題文字（不分大小寫），以 css: 開頭的為選擇器
+   * @returns {{ texts: string[], selector: string }}
+   */
+  getHeadingBlocklist() {
+    const texts = [];
+    const selectors = [];
+    const entries = Array.isArray(this.config.headingBlocklist) ? this.config.headingBlocklist : [];
     
-    // 建立目錄列表
-    this.createTOCList();
+    entries.forEach(entry => {
+      const line = String(entry).trim();
+      const match = /^css:\s*(.+)$/i.exec(line);
+      if (match) {
+        if (this.isValidSelector(match[1])) {
+          selectors.push(match[1]);
+        }
+      } else if (line) {
+        texts.push(this.normalizeHeadingText(line));
+      }
+    });
     
-    // 定位容器
-    this.positionContainer();
+    return { texts, selector: selectors.join(',') };
+  }
+  
+  // ===== 推測標題 =====
+  /**
+   * 將推測的標題與頁面原有的標題依文件順序合併
+   * 推測標題的層級依字體大小對應到字體相近的標題層級，比所有標題都小時排在最深一層之下
+   * @param {Array<{element: Element, level: number, pseudo: boolean}>} headings - 頁面原有的標題
+   * @param {Array<{element: Element, fontSize: number, pseudo: boolean}>} pseudo - findPseudoHeadings 找到的標題
+   */
+  mergePseudoHeadings(headings, pseudo) {
+    if (pseudo.length === 0) return headings;
+    if (headings.length === 0) return pseudo;
     
-    // 設置交互功能
-    this.setupInteractions();
+    const levelSizes = headings
+      .map(heading => ({ level: heading.level, fontSize: this.getLineStyle(heading.element).fontSize }))
+      .sort((a, b) => a.level - b.level);
+    const deepest = levelSizes[levelSizes.length - 1].level;
+    const maxLevel = this.getHeadingLevelRange().max;
     
-    console.log(`Smart TOC 已建立，包含 ${this.headings.length} 個標題`);
+    pseudo.forEach(item => {
+      const match = levelSizes.find(heading => heading.fontSize <= item.fontSize + 0.5);
+      item.level = match ? match.level : Math.min(maxLevel, deepest + 1);
+    });
+    
+    return [...headings, ...pseudo].sort((a, b) => this.compareDocumentOrder(a.element, b.element));
   }
   
-  createContainer() {
-    this.container = document.createElement('div');
-    this.container.className = 'smart-toc-container';
-    this.container.innerHTML = `
-      <div class="smart-toc-header">
-        <span class="smart-toc-title">目錄</span>
-        <button class="smart-toc-toggle" title="收合/展開">
-          <span class="smart-toc-toggle-icon">−</span>
-        </button>
-        <button class="smart-toc-drag" title="拖曳移動">
-          <span class="smart-toc-drag-icon">⋮⋮</span>
-        </button>
-      </div>
-      <div class="smart-toc-content">
-        <ul class="smart-toc-list"></ul>
-      </div>
-    `;
+  /**
+   * 依組合樹的文件順序比較兩個元素，與 deepQuerySelectorAll 的排列一致：
+   * 不同 shadow root 或 iframe 中的元素先往上換成同一層的宿主再比較，宿主內的元素排在宿主之後
+   */
+  compareDocumentOrder(a, b) {
+    const getHost = (element) => {
+      const root = element.getRootNode();
+      if (root.host) return root.host;
+      const view = element.ownerDocument.defaultView;
+      return view && view !== window ? view.frameElement : null;
+    };
+    const chain = (element) => {
+      const nodes = [];
+      for (let node = element; node; node = getHost(node)) {
+        nodes.push(node);
+      }
+      return nodes;
+    };
     
-    document.body.appendChild(this.container);
-    this.tocList = this.container.querySelector('.smart-toc-list');
+    const chainB = chain(b);
+    for (const x of chain(a)) {
+      const y = chainB.find(node => node.getRootNode() === x.getRootNode());
+      if (!y) continue;
+      
+      if (x === y) {
+        // 其中一個元素是另一個元素所在範圍的宿主
+        if (x === a) return x === b ? 0 : -1;
+        return x === b ? 1 : 0;
+      }
+      
+      const position = x.compareDocumentPosition(y);
+      // 宿主的 shadow root 內容排在宿主的子元素之前
+      if (position & Node.DOCUMENT_POSITION_CONTAINS) return x === a ? 1 : -1;
+      if (position & Node.DOCUMENT_POSITION_CONTAINED_BY) return y === b ? -1 : 1;
+      return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    }
+    
+    return 0;
   }
   
-  createTOCList() {
-    this.tocList.innerHTML = '';
+  /**
+   * 找出以粗體段落、<strong> 單行或大字 div 代替的標題
+   * 依字體大小、粗細、上方留白與行長相對內文評分，再依樣式分群為層級
+   * @returns {Array<{element: Element, level: number, pseudo: boolean, fontSize: number}>} 依文件順序排列
+   */
+  findPseudoHeadings(root, excludeSelector) {
+    const headingSelector = this.getHeadingSelector();
+    const body = this.getBodyTextStyle(root);
+    const found = [];
+    let measured = 0;
     
-    this.headings.forEach((heading, index) => {
-      const li = document.createElement('li');
-      li.className = `smart-toc-item smart-toc-level-${heading.level}`;
-      li.innerHTML = `
-        <a href="#${heading.id}" class="smart-toc-link" data-index="${index}">
-          ${this.escapeHtml(heading.text)}
-        </a>
-      `;
+    for (const element of this.deepQuerySelectorAll(root, SmartTOC.PSEUDO_HEADING_CANDIDATES)) {
+      // 先以不需計算樣式的條件排除大部分元素（包住其他區塊的容器不是單行文字）
+      if (this.hasBlockChildren(element)) continue;
+      const text = element.textContent.trim();
+      if (text.length < 2 || text.length > 120) continue;
+      if (element.closest(SmartTOC.PSEUDO_HEADING_IGNORED)) continue;
+      if (element.closest(headingSelector) || element.querySelector(headingSelector)) continue;
+      // 整行都是連結（導覽、相關文章）
+      if ([...element.querySelectorAll('a')].some(link => link.textContent.trim() === text)) continue;
+      if (excludeSelector && element.closest(excludeSelector)) continue;
+      if (!this.isStandaloneLine(element, text)) continue;
       
-      this.tocList.appendChild(li);
-    });
+      // 以下需要計算樣式與位置，超過上限的候選元素不再檢查
+      if (++measured > SmartTOC.PSEUDO_HEADING_MAX_CANDIDATES) break;
+      if (!this.isVisibleHeading(element)) continue;
+      
+      const style = this.getLineStyle(element);
+      const score = this.scorePseudoHeading(element, text, style, body);
+      if (score >= SmartTOC.PSEUDO_HEADING_MIN_SCORE) {
+        found.push({ element, pseudo: true, level: 0, ...style });
+      }
+    }
+    
+    return this.clusterPseudoHeadings(found, body.blockCount);
   }
   
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  /**
+   * 內文的字體大小與粗細：取較長段落的中位數
+   * 樣式依內容區域快取，版面失效（視窗大小改變、換頁）時重新取樣；段落數則每次重新計算
+   * @returns {{ fontSize: number, fontWeight: number, blockCount: number }}
+   */
+  getBodyTextStyle(root) {
+    const paragraphs = this.deepQuerySelectorAll(root, 'p, div, dd, li')
+      .filter(element => !element.querySelector('p, div') && element.textContent.trim().length >= 80);
+    const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    
+    if (paragraphs.length === 0) {
+      return { ...this.getLineStyle(root), blockCount: 0 };
+    }
+    
+    if (!this.bodyTextStyle || this.bodyTextStyle.root !== root) {
+      const styles = paragraphs.slice(0, 50).map(element => this.getLineStyle(element));
+      this.bodyTextStyle = {
+        root: root,
+        fontSize: median(styles.map(style => style.fontSize)),
+        fontWeight: median(styles.map(style => style.fontWeight))
+      };
+    }
+    
+    return {
+      fontSize: this.bodyTextStyle.fontSize,
+      fontWeight: this.bodyTextStyle.fontWeight,
+      blockCount: paragraphs.length
+    };
   }
   
-  // ===== 智能定位 =====
-  positionContainer() {
-    const viewport = {
-      width: window.innerWidth,
-      height: window.innerHeight
+  /**
+   * 元素是否單獨成為一行：區塊元素內沒有其他區塊或換行，
+   * 行內的 <b>/<strong> 則需前後為 <br>、區塊邊界或其他區塊
+   */
+  isStandaloneLine(element, text) {
+    if (!/^(B|STRONG|FONT)$/.test(element.tagName)) {
+      return !element.querySelector('p, div, ul, ol, dl, table, blockquote, pre, section, article, br');
+    }
+    
+    // 整個區塊只有這段粗體時，由外層區塊作為候選
+    const parent = element.parentElement;
+    if (!parent || parent.textContent.trim() === text) return false;
+    
+    const isBoundary = (node) => !node ||
+      (node.nodeType === Node.ELEMENT_NODE && (node.tagName === 'BR' || /^(P|DIV|UL|OL|DL|TABLE|BLOCKQUOTE|PRE|HR)$/.test(node.tagName)));
+    return isBoundary(this.getSignificantSibling(element, 'previousSibling')) &&
+      isBoundary(this.getSignificantSibling(element, 'nextSibling'));
+  }
+  
+  hasBlockChildren(element) {
+    return [...element.children].some(child => /^(P|DIV|UL|OL|DL|TABLE|BLOCKQUOTE|PRE|SECTION|ARTICLE|H[1-6])$/.test(child.tagName));
+  }
+  
+  // 略過空白文字節點與註解的相鄰節點
+  getSignificantSibling(node, direction) {
+    let sibling = node[direction];
+    while (sibling && (sibling.nodeType === Node.COMMENT_NODE ||
+           (sibling.nodeType === Node.TEXT_NODE && !sibling.textContent.trim()))) {
+      sibling = sibling[direction];
+    }
+    return sibling;
+  }
+  
+  /**
+   * 一行文字實際呈現的樣式：往內找到包含全部文字的最內層元素
+   * 例如 <p><strong>標題</strong></p> 取 strong 的粗細
+   * @returns {{ fontSize: number, fontWeight: number }}
+   */
+  getLineStyle(element) {
+    const text = element.textContent.trim();
+    let styled = element;
+    while (styled.children.length === 1 && styled.children[0].textContent.trim() === text) {
+      styled = styled.children[0];
+    }
+    
+    const style = (styled.ownerDocument.defaultView || window).getComputedStyle(styled);
+    const weight = style.fontWeight === 'bold' || style.fontWeight === 'bolder' ? 700 : parseInt(style.fontWeight);
+    return {
+      fontSize: parseFloat(style.fontSize) || 16,
+      fontWeight: weight || 400
     };
+  }
+  
+  /**
+   * 評分：字體比內文大、比內文粗、上方留白、行長較短時加分，以句號等標點結尾時扣分
+   */
+  scorePseudoHeading(element, text, style, body) {
+    const sizeRatio = style.fontSize / body.fontSize;
+    const bold = style.fontWeight >= 600 && body.fontWeight < 600;
     
-    const containerRect = this.container.getBoundingClientRect();
+    // 與內文沒有明顯差異
+    if (sizeRatio < 1.15 && !bold) return 0;
     
-    // 檢查右側空間
-    const rightSpace = this.getAvailableSpace('right');
-    const leftSpace = this.getAvailableSpace('left');
+    let score = Math.min(Math.max(0, sizeRatio - 1), 1) * 4;
+    if (bold) score += 1;
+    if (this.hasSpaceAbove(element, body.fontSize)) score += 0.5;
+    if (text.length <= 60) score += 0.5;
+    if (/[.。,，;；、]$/.test(text)) score -= 1;
     
-    let position = { x: 0, y: 100 };
+    // 超過兩行的文字較可能是強調的段落
+    const lines = element.getBoundingClientRect().height / (style.fontSize * 1.5);
+    if (lines > 2) score -= 1;
     
-    if (rightSpace.width >= 250) {
-      // 右側有足夠空間
-      position.x = viewport.width - containerRect.width - 20;
-      position.y = Math.max(100, rightSpace.y);
-    } else if (leftSpace.width >= 250) {
-      // 左側有足夠空間
-      position.x = 20;
-      position.y = Math.max(100, leftSpace.y);
-    } else {
-      // 空間不足，使用懸浮模式
-      position.x = viewport.width - containerRect.width - 20;
-      position.y = 100;
-      this.container.classList.add('smart-toc-floating');
+    return score;
+  }
+  
+  hasSpaceAbove(element, bodyFontSize) {
+    const previous = this.getSignificantSibling(element, 'previousSibling');
+    
+    // <br><br> 或位於區塊開頭的粗體行
+    if (/^(B|STRONG|FONT)$/.test(element.tagName)) {
+      return !previous || (previous.tagName === 'BR' &&
+        (!this.getSignificantSibling(previous, 'previousSibling') ||
+         this.getSignificantSibling(previous, 'previousSibling').tagName === 'BR'));
     }
     
-    this.setPosition(position);
+    const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
+    return (parseFloat(style.marginTop) || 0) + (parseFloat(style.paddingTop) || 0) >= bodyFontSize * 0.5 || !previous;
   }
   
-  getAvailableSpace(side) {
-    const viewport = {
-      width: window.innerWidth,
-      height: window.innerHeight
-    };
+  // 節點是否位於內容區域中（包含其中的 shadow root 與 iframe）
+  isInContentRoot(node, root) {
+    let element = node.nodeType === Node.ELEMENT_NODE ? node : (node.parentElement || node.host || null);
+    for (; element; element = this.getComposedParent(element)) {
+      if (element === root) return true;
+    }
+    return false;
+  }
+  
+  isInPseudoHeading(element) {
+    for (let el = element; el; el = el.parentElement) {
+      if (this.pseudoElements.has(el)) return true;
+    }
+    return false;
+  }
+  
+  /**
+   * 依字體大小與粗細分群，較大的樣式為較高的層級
+   * 層級依設定的標題範圍對應，最多三層；範圍包含 H1 時從 H2 開始（H1 通常是頁面標題）
+   * 出現次數比內文段落還多的樣式是強調的內文而非標題，整群捨棄
+   */
+  clusterPseudoHeadings(found, blockCount) {
+    const clusters = new Map();
+    found.forEach(item => {
+      const key = `${Math.round(item.fontSize)}|${item.fontWeight >= 600}`;
+      if (!clusters.has(key)) {
+        clusters.set(key, { fontSize: Math.round(item.fontSize), bold: item.fontWeight >= 600, items: [] });
+      }
+      clusters.get(key).items.push(item);
+    });
+    
+    const kept = [...clusters.values()]
+      .filter(cluster => cluster.items.length <= Math.max(3, blockCount))
+      .sort((a, b) => b.fontSize - a.fontSize || Number(b.bold) - Number(a.bold));
+      
+    const range = this.getHeadingLevelRange();
+    const first = range.min === 1 && range.max > 1 ? 2 : range.min;
+    
+    kept.forEach((cluster, rank) => {
+      cluster.items.forEach(item => {
+        item.level = Math.min(first + Math.min(rank, 2), range.max);
+      });
+    });
+    
+    return found.filter(item => item.level > 0);
+  }
+  
+  getTextLength() {
+    const root = this.getContentRoot();
+    let length = root.textContent.trim().length;
+    
+    // 扣除排除區塊的文字（只計算最外層，避免重複扣除）
+    const excludeSelector = this.getExcludeSelector();
+    if (excludeSelector) {
+      this.safeQuerySelectorAll(root, excludeSelector).forEach(el => {
+        if (!el.parentElement || !el.parentElement.closest(excludeSelector)) {
+          length -= el.textContent.trim().length;
+        }
+      });
+    }
+    
+    // textContent 不包含 shadow root 與 iframe 內的文字，需另外加上
+    this.deepScopes.forEach(scope => {
+      length += scope.textContent.trim().length;
+    });
+    
+    return Math.max(0, length);
+  }
+  
+  // ===== 選擇器設定檔 =====
+  getContentRoot() {
+    const profile = this.config.profile;
+    if (profile && profile.contentRoot) {
+      const root = this.safeQuerySelector(document, profile.contentRoot);
+      if (root) {
+        return root;
+      }
+    }
+    
+    if (!this.contentRoot || !this.contentRoot.isConnected) {
+      this.detectContentRoot();
+    }
+    
+    return this.contentRoot;
+  }
+  
+  resetContentRoot() {
+    this.contentRoot = null;
+    this.contentScore = null;
+  }
+  
+  // ===== 主要內容偵測 =====
+  detectContentRoot() {
+    const candidate = this.findMainContentCandidate();
+    
+    if (candidate) {
+      this.contentRoot = candidate.element;
+      this.contentScore = Math.round(candidate.score * 10) / 10;
+    } else {
+      this.contentRoot = this.findDefaultContentRoot();
+      this.contentScore = null;
+    }
+  }
+  
+  /**
+   * 參考 Readability 的評分方式找出文章主體：
+   * 每個段落依長度與逗號數給分，累加到父節點（全額）、祖父節點（1/2）與曾祖父節點（1/6），
+   * 再加上標籤與 class/id 權重，最後乘以 (1 - 連結密度)
+   */
+  findMainContentCandidate() {
+    const candidates = new Map();
+    const paragraphs = document.body.querySelectorAll('p, pre, td, blockquote');
+    
+    paragraphs.forEach(paragraph => {
+      const text = paragraph.textContent.trim();
+      if (text.length < 25) return;
+      
+      const contentScore = 1 +
+        text.split(/[,，、]/).length - 1 +
+        Math.min(Math.floor(text.length / 100), 3);
+      
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && ancestor !== document.documentElement && level < 3; level++) {
+        if (!candidates.has(ancestor)) {
+          candidates.set(ancestor, { score: this.getElementWeight(ancestor), paragraphs: 0 });
+        }
+        
+        const entry = candidates.get(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        entry.score += contentScore / divider;
+        entry.paragraphs += 1;
+        
+        ancestor = ancestor.parentElement;
+      }
+    });
+    
+    let best = null;
+    candidates.forEach((entry, element) => {
+      const score = entry.score * (1 - this.getLinkDensity(element)) * this.getTextDensityFactor(element);
+      if (!best || score > best.score) {
+        best = { element, score, paragraphs: entry.paragraphs };
+      }
+    });
+    
+    if (!best || best.score <= 0) {
+      return null;
+    }
+    
+    // 段落容器不含標題時（標題與內文分屬不同包裝元素），往上找到包含標題的祖先
+    const headingSelector = this.getHeadingSelector();
+    while (best.element !== document.body && !this.safeQuerySelector(best.element, headingSelector)) {
+      best.element = best.element.parentElement;
+    }
+    
+    return best;
+  }
+  
+  getElementWeight(element) {
+    const tagWeights = {
+      ARTICLE: 10,
+      MAIN: 10,
+      DIV: 5,
+      SECTION: 5,
+      PRE: 3,
+      TD: 3,
+      BLOCKQUOTE: 3,
+      FORM: -3,
+      UL: -3,
+      OL: -3,
+      ASIDE: -25,
+      NAV: -25,
+      FOOTER: -25,
+      HEADER: -10
+    };
+    
+    let weight = tagWeights[element.tagName] || 0;
+    
+    const attributes = `${element.getAttribute('class') || ''} ${element.id || ''}`;
+    if (/comment|footer|sidebar|nav|menu|related|share|social|promo|widget|banner|sponsor|advert|cookie/i.test(attributes)) {
+      weight -= 25;
+    }
+    if (/article|body|content|entry|main|page|post|text|blog|story|markdown|prose/i.test(attributes)) {
+      weight += 25;
+    }
+    
+    return weight;
+  }
+  
+  getLinkDensity(element) {
+    const textLength = element.textContent.trim().length;
+    if (textLength === 0) return 0;
+    
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      linkLength += link.textContent.trim().length;
+    });
+    
+    return Math.min(1, linkLength / textLength);
+  }
+  
+  getTextDensityFactor(element) {
+    // 每個子元素平均文字過少時多為選單或小工具格狀版面
+    const elementCount = element.getElementsByTagName('*').length + 1;
+    const density = element.textContent.trim().length / elementCount;
+    return density < 10 ? 0.5 : 1;
+  }
+  
+  describeElement(element) {
+    if (!element) return null;
+    
+    let description = element.tagName.toLowerCase();
+    if (element.id) {
+      description += `#${element.id}`;
+    }
+    
+    const classes = (element.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2);
+    if (classes.length > 0) {
+      description += `.${classes.join('.')}`;
+    }
+    
+    return description;
+  }
+  
+  findDefaultContentRoot() {
+    // 依常見選擇器尋找主要內容區域
+    const contentSelectors = [
+      'article',
+      'main',
+      '.content',
+      '.post',
+      '.entry',
+      '#content',
+      '.article-body',
+      '.post-content'
+    ];
+    
+    let contentElement = null;
+    for (const selector of contentSelectors) {
+      contentElement = document.querySelector(selector);
+      if (contentElement) break;
+    }
+    
+    return contentElement || document.body;
+  }
+  
+  getProfileHeadingSelectors() {
+    const profile = this.config.profile;
+    if (!profile || !Array.isArray(profile.headingSelectors)) {
+      return [];
+    }
+    
+    return profile.headingSelectors.filter(item => item && this.isValidSelector(item.selector));
+  }
+  
+  getHeadingSelector() {
+    // 標題標籤，以及以 ARIA 標示同一層級的元素（如 <div role="heading" aria-level="5">）
+    const selectors = [];
+    this.config.supportedHeadings
+      .filter(tag => /^H[1-6]$/i.test(tag))
+      .forEach(tag => {
+        selectors.push(tag.toLowerCase(), `[role="heading"][aria-level="${tag.slice(1)}"]`);
+      });
+    this.getProfileHeadingSelectors().forEach(item => selectors.push(item.selector));
+    return selectors.join(',');
+  }
+  
+  // 設定的標題層級範圍（supportedHeadings 中最小與最大的層級）
+  getHeadingLevelRange() {
+    const levels = this.config.supportedHeadings
+      .filter(tag => /^H[1-6]$/i.test(tag))
+      .map(tag => parseInt(tag.slice(1)));
+      
+    return levels.length > 0
+      ? { min: Math.min(...levels), max: Math.max(...levels) }
+      : { min: 2, max: 4 };
+  }
+  
+  getExcludeSelector() {
+    const profile = this.config.profile;
+    if (!profile || !Array.isArray(profile.excludeSelectors)) {
+      return '';
+    }
+    
+    return profile.excludeSelectors.filter(selector => this.isValidSelector(selector)).join(',');
+  }
+  
+  isValidSelector(selector) {
+    if (!selector || typeof selector !== 'string') {
+      return false;
+    }
+    
+    if (this.invalidSelectors.has(selector)) {
+      return false;
+    }
+    
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      // 每個無效選擇器只警告一次
+      this.invalidSelectors.add(selector);
+      console.warn('無效的選擇器:', selector);
+      return false;
+    }
+  }
+  
+  safeQuerySelector(root, selector) {
+    try {
+      return root.querySelector(selector);
+    } catch (error) {
+      console.warn('無效的選擇器:', selector);
+      return null;
+    }
+  }
+  
+  safeQuerySelectorAll(root, selector) {
+    try {
+      return root.querySelectorAll(selector);
+    } catch (error) {
+      console.warn('無效的選擇器:', selector);
+      return [];
+    }
+  }
+  
+  // ===== Shadow DOM 與 iframe =====
+  /**
+   * 與 querySelectorAll 相同，但會深入開放的 shadow root 與同源 iframe
+   * 結果依文件順序排列，shadow root 與 iframe 內的元素排在其宿主元素之後
+   * @param {{ scopes: Array, frames: Array }} [context] - 收集經過的 shadow root、iframe body 與 iframe 元素
+   */
+  deepQuerySelectorAll(root, selector, context = { scopes: [], frames: [] }) {
+    const matches = this.safeQuerySelectorAll(root, selector);
+    const hosts = this.getScopeHosts(root);
+    const results = [];
+    let next = 0;
+    
+    const enterHost = (host) => {
+      if (host.tagName === 'IFRAME' || host.tagName === 'FRAME') {
+        context.frames.push(host);
+      }
+      
+      const scope = this.getInnerScope(host);
+      if (scope) {
+        context.scopes.push(scope);
+        results.push(...this.deepQuerySelectorAll(scope, selector, context));
+      }
+    };
+    
+    // 依文件順序合併：宿主之前的元素、宿主本身、宿主內的範圍，再到宿主的子元素
+    matches.forEach(element => {
+      while (next < hosts.length && hosts[next] !== element &&
+             (hosts[next].compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+        enterHost(hosts[next++]);
+      }
+      
+      results.push(element);
+      if (hosts[next] === element) {
+        enterHost(hosts[next++]);
+      }
+    });
+    
+    while (next < hosts.length) {
+      enterHost(hosts[next++]);
+    }
+    
+    return results;
+  }
+  
+  /**
+   * 範圍內的 shadow 宿主與 iframe，每次完整建立目錄時尋找一次，之後由 updateScopeHosts 依 DOM 變動更新
+   */
+  getScopeHosts(scope) {
+    if (!this.scopeHosts.has(scope)) {
+      this.scopeHosts.set(scope, this.findScopeHosts(scope));
+    }
+    return this.scopeHosts.get(scope);
+  }
+  
+  /**
+   * 依 MutationObserver 的紀錄更新已快取範圍中的宿主清單：
+   * 移除已離開範圍的宿主，並將新增節點（含其子孫）中的宿主依文件順序插入
+   * @returns {boolean} 是否加入了新的宿主（其中可能有標題，需更新目錄）
+   */
+  updateScopeHosts(mutation) {
+    if (mutation.type !== 'childList' || this.scopeHosts.size === 0) return false;
+    
+    let scope = mutation.target;
+    while (scope && !this.scopeHosts.has(scope)) {
+      scope = scope.parentNode;
+    }
+    if (!scope) return false;
+    
+    let hosts = this.scopeHosts.get(scope);
+    const inScope = (host) => scope.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+      ? host.getRootNode() === scope
+      : scope.contains(host);
+      
+    if ([...mutation.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE)) {
+      hosts = hosts.filter(inScope);
+    }
+    
+    let inserted = false;
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType !== Node.ELEMENT_NODE || !inScope(node)) return;
+      
+      const added = this.findScopeHosts(node);
+      if (node.shadowRoot || node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+        added.unshift(node);
+      }
+      
+      added.forEach(host => {
+        // 移動的節點可能已在清單中，先移除再依位置插入
+        hosts = hosts.filter(other => other !== host);
+        const position = hosts.findIndex(other => host.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING);
+        hosts.splice(position === -1 ? hosts.length : position, 0, host);
+        inserted = true;
+      });
+    });
+    
+    this.scopeHosts.set(scope, hosts);
+    return inserted;
+  }
+  
+  /**
+   * 範圍內的 shadow 宿主與 iframe（依文件順序）
+   * 以 TreeWalker 走訪，只在這兩類元素停下，不建立整個範圍的元素清單
+   */
+  findScopeHosts(root) {
+    const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: (element) => element.shadowRoot || element.tagName === 'IFRAME' || element.tagName === 'FRAME'
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_SKIP
+    });
+    
+    const hosts = [];
+    while (walker.nextNode()) {
+      hosts.push(walker.currentNode);
+    }
+    return hosts;
+  }
+  
+  /**
+   * 依文件順序走訪節點，並深入開放的 shadow root 與同源 iframe
+   * @param {(node: Node) => boolean|void} visit - 回傳 false 時略過該節點的子孫
+   */
+  walkComposedTree(node, visit) {
+    if (visit(node) === false) return;
+    
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const scope = this.getInnerScope(node);
+      if (scope) {
+        this.walkComposedTree(scope, visit);
+      }
+    }
+    
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      this.walkComposedTree(child, visit);
+    }
+  }
+  
+  // 元素內可深入的範圍：開放的 shadow root 或同源 iframe 的 body（目錄本身的 shadow root 為封閉模式，不會被找到）
+  getInnerScope(element) {
+    if (element.shadowRoot) {
+      return element.shadowRoot;
+    }
+    
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      try {
+        const frameDocument = element.contentDocument;
+        return frameDocument && frameDocument.body ? frameDocument.body : null;
+      } catch (error) {
+        // 跨來源的 iframe 無法存取
+        return null;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * 將新找到的 shadow root 與 iframe 文件加入 MutationObserver，並監聽 iframe 的載入與捲動
+   */
+  observeDeepScopes() {
+    if (!this.mutationObserver) return;
+    
+    this.deepScopes.forEach(scope => {
+      // iframe 觀察整份文件，body 被替換時仍能收到變動
+      const target = scope.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? scope : scope.ownerDocument;
+      if (this.observedScopes.has(target)) return;
+      this.observedScopes.add(target);
+      
+      this.mutationObserver.observe(target, {
+        childList: true,
+        subtree: true,
+        characterData: true
+      });
+      
+      if (target.nodeType === Node.DOCUMENT_NODE && target.defaultView) {
+        // iframe 本身可捲動時，目前章節與閱讀進度也需更新
+        target.defaultView.addEventListener('scroll', () => {
+          if (this.handleScroll) this.handleScroll();
+        }, { passive: true });
+      }
+    });
+    
+    this.deepFrames.forEach(frame => {
+      if (this.observedScopes.has(frame)) return;
+      this.observedScopes.add(frame);
+      
+      // iframe 載入（或重新導向）後其文件會被替換，需重新尋找標題
+      frame.addEventListener('load', () => {
+        this.debounce(() => {
+          console.log('iframe 已載入，更新目錄');
+          this.updateTOC();
+        });
+      });
+    });
+  }
+  
+  /**
+   * 元素相對頂層視窗的位置，iframe 內的元素需加上各層 iframe 的位置
+   */
+  getLayoutRect(element) {
+    const rect = element.getBoundingClientRect();
+    let top = rect.top;
+    let left = rect.left;
+    
+    for (let view = element.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      top += frameRect.top + frame.clientTop;
+      left += frameRect.left + frame.clientLeft;
+    }
+    
+    return { top, left, bottom: top + rect.height, right: left + rect.width, width: rect.width, height: rect.height };
+  }
+  
+  // 元素在組合樹中的上層：shadow root 的頂層元素回到宿主，iframe 文件的根元素回到 iframe
+  getComposedParent(element) {
+    if (element.parentElement) {
+      return element.parentElement;
+    }
+    
+    const root = element.getRootNode();
+    if (root.host) {
+      return root.host;
+    }
+    
+    const view = element.ownerDocument.defaultView;
+    return view && view !== window ? view.frameElement : null;
+  }
+  
+  // ===== TOC 建立 =====
+  buildTOC() {
+    // 完整重建時重新尋找 shadow 宿主與 iframe（例如之後才定義的自訂元素附加的 shadow root）
+    this.scopeHosts.clear();
+    
+    if (!this.isAllowed) {
+      this.removeTOC();
+      return;
+    }
+    
+    if (!this.analyzeContent()) {
+      this.removeTOC();
+      return;
+    }
+    
+    // 如果已存在，先移除
+    this.removeTOC();
+    
+    // 偵測滾動容器與固定導覽列
+    this.updateScrollContainer();
+    this.stickyOffset = this.getStickyHeaderHeight();
+    
+    // 計算各章節閱讀時間
+    this.sectionMetrics = this.computeSectionMetrics();
+    
+    // 建立容器
+    this.createContainer();
+    
+    // 建立目錄列表
+    this.createTOCList();
+    
+    // 定位容器
+    this.positionContainer();
+    
+    // 設置交互功能
+    this.setupInteractions();
+    
+    // 追蹤目前章節（重建後的列表需要重新標示）
+    this.currentActiveIndex = -1;
+    this.visibleRange = '';
+    this.setupIntersectionObserver();
+    this.updateActiveItemByScroll();
+    
+    this.renderResumePrompt();
+    this.updateReadingProgress();
+    
+    // 分享的章節連結在目錄建立後才能對應到標題
+    this.scrollToLocationHash();
+    
+    console.log(`Smart TOC 已建立，包含 ${this.headings.length} 個標題`);
+  }
+  
+  /**
+   * 內容變動時比對新舊標題，只更新有變化的項目
+   * 保留摺疊狀態、目錄列表的捲動位置與目錄位置，避免無限捲動網站上的閃爍
+   */
+  updateTOC() {
+    if (!this.container || !this.isAllowed) {
+      this.buildTOC();
+      return;
+    }
+    
+    const previousHeadings = this.headings;
+    
+    if (!this.analyzeContent()) {
+      this.removeTOC();
+      return;
+    }
+    
+    const unchanged = previousHeadings.length === this.headings.length &&
+      this.headings.every((heading, index) => {
+        const previous = previousHeadings[index];
+        return previous.element === heading.element && previous.text === heading.text &&
+          previous.id === heading.id && previous.level === heading.level;
+      });
+    if (unchanged) return;
+    
+    this.sectionMetrics = this.computeSectionMetrics();
+    this.reconcileTOC(previousHeadings);
+  }
+  
+  reconcileTOC(previousHeadings) {
+    // 以標題元素對應新舊索引
+    const newIndexByElement = new Map(this.headings.map((heading, index) => [heading.element, index]));
+    const remap = (index) => previousHeadings[index] ? newIndexByElement.get(previousHeadings[index].element) : undefined;
+    
+    const reusable = new Map();
+    const previousItems = this.tocList.querySelectorAll('.smart-toc-item').length;
+    this.tocList.querySelectorAll('.smart-toc-link').forEach(link => {
+      const heading = previousHeadings[parseInt(link.dataset.index)];
+      if (heading) {
+        reusable.set(heading.element, link.closest('.smart-toc-item'));
+      }
+    });
+    
+    const foldedIndices = [...this.foldedIndices].map(remap).filter(index => index !== undefined);
+    const focusableLink = this.tocList.querySelector('.smart-toc-link[tabindex="0"]');
+    const focusableIndex = remap(focusableLink ? parseInt(focusableLink.dataset.index) : this.currentActiveIndex) ??
+      Math.min(Math.max(0, this.currentActiveIndex), this.headings.length - 1);
+      
+    this.treeNodes = this.buildHeadingTree();
+    this.headingFingerprints = this.computeHeadingFingerprints();
+    
+    const created = this.renderTreeItems(this.tocList, this.getRootIndices(), reusable, focusableIndex);
+    this.collectTOCLinks();
+    
+    this.foldedIndices = new Set(foldedIndices.filter(index => this.hasChildren(index)));
+    this.setFocusableItem(focusableIndex);
+    this.applyFolding();
+    this.renderExpandControls();
+    this.renderBookmarks();
+    this.applyFilter();
+    
+    // 索引可能已改變，重新標示目前章節
+    this.currentActiveIndex = -1;
+    this.visibleRange = '';
+    this.setupIntersectionObserver();
+    this.updateActiveItemByScroll();
+    this.updateReadingProgress();
+    
+    // 舊項目不是被重用就是在 renderTreeItems 中被移除（未重用的項目由結尾裁切或隨子群組一併移除）
+    const removed = previousItems - (this.headings.length - created);
+    console.debug(`Smart TOC 已更新，包含 ${this.headings.length} 個標題（新建 ${created} 項，移除 ${removed} 項）`);
+  }
+  
+  createContainer() {
+    // 目錄放在封閉的 Shadow DOM 中，網站的樣式與腳本無法影響面板，目錄的樣式也不會外洩
+    this.host = document.createElement('smart-toc-root');
+    this.shadowRoot = this.host.attachShadow({ mode: 'closed' });
+    if (this.styleSheet) {
+      this.shadowRoot.adoptedStyleSheets = [this.styleSheet];
+    }
+    this.isolateEvents();
+    
+    this.container = document.createElement('div');
+    this.container.className = 'smart-toc-container';
+    this.container.setAttribute('role', 'navigation');
+    this.container.setAttribute('aria-label', '文章目錄');
+    this.container.innerHTML = `
+      <div class="smart-toc-header">
+        <span class="smart-toc-title" id="smart-toc-title">目錄</span>
+        <input type="search" class="smart-toc-search" placeholder="搜尋標題" aria-label="搜尋標題"
+               aria-controls="smart-toc-content" autocomplete="off" spellcheck="false">
+        <button class="smart-toc-export" title="匯出目錄" aria-label="匯出目錄"
+                aria-haspopup="true" aria-expanded="false" aria-controls="smart-toc-export-menu">
+          <span class="smart-toc-export-icon" aria-hidden="true">⇩</span>
+        </button>
+        <button class="smart-toc-toggle" title="收合/展開" aria-controls="smart-toc-content">
+          <span class="smart-toc-toggle-icon" aria-hidden="true">−</span>
+        </button>
+        <button class="smart-toc-reset" title="重設位置" aria-label="重設目錄位置">
+          <span class="smart-toc-reset-icon" aria-hidden="true">⟲</span>
+        </button>
+        <button class="smart-toc-drag" title="拖曳移動" aria-label="拖曳移動目錄">
+          <span class="smart-toc-drag-icon" aria-hidden="true">⋮⋮</span>
+        </button>
+        <div class="smart-toc-progress" role="progressbar" aria-label="閱讀進度"
+             aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <div class="smart-toc-progress-bar"></div>
+        </div>
+      </div>
+      <div class="smart-toc-content" id="smart-toc-content">
+        <div class="smart-toc-export-menu" id="smart-toc-export-menu" hidden>
+          <select class="smart-toc-export-format" aria-label="匯出格式">
+            <option value="markdown">Markdown</option>
+            <option value="html">HTML</option>
+            <option value="json">JSON</option>
+            <option value="opml">OPML</option>
+          </select>
+          <label class="smart-toc-export-option">
+            <input type="checkbox" class="smart-toc-export-words">包含字數
+          </label>
+          <button class="smart-toc-export-copy">複製</button>
+          <button class="smart-toc-export-download">下載</button>
+        </div>
+        <div class="smart-toc-resume" hidden>
+          <span class="smart-toc-resume-text"></span>
+          <button class="smart-toc-resume-btn">繼續閱讀</button>
+          <button class="smart-toc-resume-dismiss" title="略過" aria-label="略過">×</button>
+        </div>
+        <div class="smart-toc-reading"></div>
+        <div class="smart-toc-toolbar" role="toolbar" aria-label="展開層級"></div>
+        <ul class="smart-toc-list" role="tree" aria-labelledby="smart-toc-title"></ul>
+        <p class="smart-toc-search-empty" hidden>沒有符合的標題</p>
+      </div>
+    `;
+    
+    this.applyTheme();
+    
+    // 重建時保留收合與隱藏狀態
+    this.container.classList.toggle('smart-toc-hidden', this.isHidden);
+    this.updateCollapseState();
+    
+    this.shadowRoot.appendChild(this.container);
+    document.body.appendChild(this.host);
+    this.tocList = this.container.querySelector('.smart-toc-list');
+    this.container.querySelector('.smart-toc-search').value = this.filterQuery;
+  }
+  
+  applyTheme() {
+    if (!this.host) return;
+    
+    // 主題類別加在宿主元素上，配色由 :host 的自訂屬性決定；auto 模式不加類別，由 prefers-color-scheme 決定
+    this.host.classList.remove('smart-toc-theme-light', 'smart-toc-theme-dark');
+    if (this.config.theme === 'light' || this.config.theme === 'dark') {
+      this.host.classList.add(`smart-toc-theme-${this.config.theme}`);
+    }
+  }
+  
+  /**
+   * 目錄內的點擊與按鍵事件不冒泡到網頁，避免網站的快捷鍵或點擊處理攔截目錄操作
+   * 目錄自身的處理器都在 shadow root 內，不受影響
+   */
+  isolateEvents() {
+    const events = [
+      'click', 'dblclick', 'contextmenu', 'mousedown', 'mouseup', 'pointerdown', 'pointerup',
+      'touchstart', 'touchend', 'keydown', 'keyup', 'keypress', 'input'
+    ];
+    
+    events.forEach(type => {
+      this.shadowRoot.addEventListener(type, (e) => e.stopPropagation());
+    });
+  }
+  
+  getActiveElement() {
+    return this.shadowRoot ? this.shadowRoot.activeElement : null;
+  }
+  
+  createTOCList() {
+    this.tocList.innerHTML = '';
+    this.foldedIndices.clear();
+    
+    // 依標題層級建立巢狀樹（跳級如 H2→H4 時，H4 直接成為 H2 的子節點）
+    this.treeNodes = this.buildHeadingTree();
+    this.headingFingerprints = this.computeHeadingFingerprints();
+    
+    const focusableIndex = Math.min(this.currentActiveIndex, this.headings.length - 1);
+    this.renderTreeItems(this.tocList, this.getRootIndices(), new Map(), focusableIndex);
+    this.collectTOCLinks();
+    
+    // 自動摺疊模式下只展開目前章節所在的分支
+    if (this.config.autoCollapse) {
+      this.revealItem(focusableIndex);
+    }
+    
+    this.applyFolding();
+    this.renderExpandControls();
+    this.renderBookmarks();
+    this.applyFilter();
+  }
+  
+  // 依索引記錄目錄連結，滾動時不必逐一查詢
+  collectTOCLinks() {
+    this.tocLinks = [];
+    this.tocList.querySelectorAll('.smart-toc-link').forEach(link => {
+      this.tocLinks[parseInt(link.dataset.index)] = link;
+    });
+    this.readState = '';
+  }
+  
+  /**
+   * 以堆疊將平面標題列表轉為樹狀結構
+   * 目錄以深度作為顯示層級，頁面最上層為 H2 時即顯示為第 1 層，跳過的層級不會留下空白縮排
+   * @returns {Array<{index: number, parent: number, depth: number, children: number[]}>}
+   */
+  buildHeadingTree() {
+    const nodes = [];
+    const stack = [];
+    
+    this.headings.forEach((heading, index) => {
+      while (stack.length > 0 && this.headings[stack[stack.length - 1]].level >= heading.level) {
+        stack.pop();
+      }
+      
+      const parent = stack.length > 0 ? stack[stack.length - 1] : -1;
+      nodes.push({ index, parent, depth: stack.length + 1, children: [] });
+      
+      if (parent !== -1) {
+        nodes[parent].children.push(index);
+      }
+      
+      stack.push(index);
+    });
+    
+    return nodes;
+  }
+  
+  getRootIndices() {
+    return this.treeNodes.filter(node => node.parent === -1).map(node => node.index);
+  }
+  
+  /**
+   * 依序將 indices 對應的項目放入 list，並遞迴處理子章節
+   * 同一標題元素且文字、錨點未變的舊項目會被重用，只更新索引與層級等屬性
+   * @param {Map<Element, HTMLLIElement>} reusable - 舊目錄中以標題元素為鍵的項目，重用後移除
+   * @returns {number} 新建立的項目數
+   */
+  renderTreeItems(list, indices, reusable, focusableIndex) {
+    let created = 0;
+    
+    indices.forEach((index, position) => {
+      const node = this.treeNodes[index];
+      const heading = this.headings[index];
+      let item = reusable.get(heading.element);
+      reusable.delete(heading.element);
+      
+      if (item && this.itemSignatures.get(item) === this.getItemSignature(heading)) {
+        this.updateTreeItem(item, node, indices.length, position + 1);
+      } else {
+        item = this.createTreeItem(node, indices.length, position + 1, focusableIndex);
+        created++;
+      }
+      
+      // 位置不變的項目不移動，避免不必要的 DOM 操作
+      if (list.children[position] !== item) {
+        list.insertBefore(item, list.children[position] || null);
+      }
+      
+      created += this.renderTreeGroup(item, node, reusable, focusableIndex);
+    });
+    
+    while (list.children.length > indices.length) {
+      list.lastElementChild.remove();
+    }
+    
+    return created;
+  }
+  
+  renderTreeGroup(item, node, reusable, focusableIndex) {
+    const link = item.querySelector('.smart-toc-link');
+    const hasChildren = node.children.length > 0;
+    let group = item.querySelector(':scope > .smart-toc-group');
+    
+    item.querySelector('.smart-toc-expander').classList.toggle('smart-toc-has-children', hasChildren);
+    
+    if (!hasChildren) {
+      if (group) {
+        group.remove();
+      }
+      link.removeAttribute('aria-expanded');
+      link.removeAttribute('aria-owns');
+      item.classList.remove('smart-toc-folded');
+      return 0;
+    }
+    
+    if (!group) {
+      group = document.createElement('ul');
+      group.className = 'smart-toc-group';
+      group.setAttribute('role', 'group');
+      item.appendChild(group);
+      link.setAttribute('aria-expanded', 'true');
+    }
+    
+    group.id = `smart-toc-group-${node.index}`;
+    link.setAttribute('aria-owns', group.id);
+    
+    return this.renderTreeItems(group, node.children, reusable, focusableIndex);
+  }
+  
+  // 文字或錨點改變時需要重建項目內容
+  getItemSignature(heading) {
+    return `${heading.id}\n${heading.text}`;
+  }
+  
+  updateTreeItem(item, node, setSize, posInSet) {
+    const metrics = this.sectionMetrics[node.index] || { words: 0, cjkChars: 0, minutes: 0 };
+    const link = item.querySelector('.smart-toc-link');
+    
+    [...item.classList]
+      .filter(name => /^smart-toc-level-\d+$/.test(name))
+      .forEach(name => item.classList.remove(name));
+    item.classList.add(`smart-toc-level-${node.depth}`);
+    
+    link.dataset.index = node.index;
+    link.setAttribute('aria-level', String(node.depth));
+    link.setAttribute('aria-setsize', String(setSize));
+    link.setAttribute('aria-posinset', String(posInSet));
+    link.title = `約 ${metrics.words + metrics.cjkChars} 字，${this.formatReadingTime(metrics.minutes)}`;
+    item.querySelector('.smart-toc-time').textContent = this.formatReadingTime(metrics.minutes, true);
+  }
+  
+  createTreeItem(node, setSize, posInSet, focusableIndex) {
+    const heading = this.headings[node.index];
+    const metrics = this.sectionMetrics[node.index] || { words: 0, cjkChars: 0, minutes: 0 };
+    
+    const li = document.createElement('li');
+    li.className = `smart-toc-item smart-toc-level-${node.depth}`;
+    li.setAttribute('role', 'none');
+    li.innerHTML = `
+      <div class="smart-toc-row">
+        <span class="smart-toc-expander" aria-hidden="true"></span>
+        <a class="smart-toc-link" data-index="${node.index}"
+           role="treeitem" aria-level="${node.depth}"
+           aria-setsize="${setSize}" aria-posinset="${posInSet}"
+           tabindex="${node.index === focusableIndex ? 0 : -1}"
+           title="約 ${metrics.words + metrics.cjkChars} 字，${this.formatReadingTime(metrics.minutes)}">
+          ${this.escapeHtml(heading.text)}
+        </a>
+        <span class="smart-toc-time" aria-hidden="true">${this.formatReadingTime(metrics.minutes, true)}</span>
+      </div>
+      <div class="smart-toc-note" hidden></div>
+    `;
+    
+    // 含有頁面文字的屬性以 DOM API 設定，標題中的引號不會跳出屬性
+    li.querySelector('.smart-toc-link').setAttribute('href', `#${heading.id}`);
+    
+    const row = li.querySelector('.smart-toc-row');
+    const bookmark = this.createRowButton('smart-toc-bookmark', '書籤', `「${heading.text}」加入書籤`, '☆');
+    bookmark.setAttribute('aria-pressed', 'false');
+    row.appendChild(bookmark);
+    row.appendChild(this.createRowButton('smart-toc-note-btn', '筆記', `編輯「${heading.text}」的筆記`, '✎'));
+    row.appendChild(this.createRowButton('smart-toc-copy-link', '複製章節連結', `複製「${heading.text}」的連結`, '🔗'));
+    
+    this.itemSignatures.set(li, this.getItemSignature(heading));
+    
+    return li;
+  }
+  
+  renderExpandControls() {
+    const toolbar = this.container.querySelector('.smart-toc-toolbar');
+    const maxDepth = this.treeNodes.reduce((max, node) => Math.max(max, node.depth), 0);
+    
+    toolbar.innerHTML = '';
+    toolbar.hidden = maxDepth < 2;
+    if (toolbar.hidden) return;
+    
+    const label = document.createElement('span');
+    label.className = 'smart-toc-toolbar-label';
+    label.textContent = '展開至';
+    toolbar.appendChild(label);
+    
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      const button = document.createElement('button');
+      button.className = 'smart-toc-expand-level';
+      button.dataset.level = depth;
+      button.textContent = depth;
+      button.title = `展開至第 ${depth} 層`;
+      toolbar.appendChild(button);
+    }
+  }
+  
+  createRowButton(className, title, label, icon) {
+    const button = document.createElement('button');
+    button.className = `smart-toc-row-btn ${className}`;
+    button.tabIndex = -1;
+    button.title = title;
+    button.setAttribute('aria-label', label);
+    button.textContent = icon;
+    return button;
+  }
+  
+  escapeHtml(text) {
+    // 同時跳脫引號，結果可安全放入屬性值
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  // ===== 智能定位 =====
+  positionContainer() {
+    if (!this.container) return;
+    
+    const viewport = {
+      width: window.innerWidth,
+      height: window.innerHeight
+    };
+    
+    const containerRect = this.container.getBoundingClientRect();
+    
+    this.container.classList.remove('smart-toc-floating');
+    
+    // 使用者拖曳過的位置優先
+    if (this.savedPosition) {
+      this.setPosition(this.resolveSavedPosition(this.savedPosition, containerRect));
+      return;
+    }
+    
+    // 固定在左側或右側
+    if (this.config.position === 'right') {
+      this.setPosition({ x: viewport.width - containerRect.width - 20, y: 100 });
+      return;
+    }
+    
+    if (this.config.position === 'left') {
+      this.setPosition({ x: 20, y: 100 });
+      return;
+    }
+    
+    // 放在文字欄旁的空白處，避開固定定位的元素
+    const rightSpace = this.getAvailableSpace('right');
+    const leftSpace = this.getAvailableSpace('left');
+    const requiredWidth = containerRect.width + 40;
+    
+    let position = { x: 0, y: 100 };
+    
+    if (rightSpace.width >= requiredWidth) {
+      // 右側有足夠空間
+      position.x = rightSpace.start + 20;
+      position.y = rightSpace.y;
+    } else if (leftSpace.width >= requiredWidth) {
+      // 左側有足夠空間
+      position.x = leftSpace.end - containerRect.width - 20;
+      position.y = leftSpace.y;
+    } else {
+      // 空間不足，使用懸浮模式
+      position.x = viewport.width - containerRect.width - 20;
+      position.y = 100;
+      this.container.classList.add('smart-toc-floating');
+    }
+    
+    this.setPosition(position);
+  }
+  
+  /**
+   * 文字欄一側可放置目錄的範圍
+   * @param {'left'|'right'} side
+   * @returns {{ start: number, end: number, width: number, y: number }}
+   */
+  getAvailableSpace(side) {
+    const layout = this.getLayout();
+    const viewportHeight = window.innerHeight;
+    
+    let start = side === 'right' ? layout.column.right : 0;
+    let end = side === 'right' ? window.innerWidth : layout.column.left;
+    let y = 100;
+    
+    layout.obstacles.forEach(rect => {
+      if (rect.left >= end || rect.right <= start) return;
+      
+      if (rect.top <= 0 && rect.bottom < viewportHeight / 3) {
+        // 頂端的導覽列：目錄放在它下方
+        y = Math.max(y, rect.bottom + 16);
+      } else if (rect.left + rect.width / 2 > (start + end) / 2) {
+        // 側欄：縮小可用範圍
+        end = Math.min(end, rect.left);
+      } else {
+        start = Math.max(start, rect.right);
+      }
+    });
+    
+    return { start, end, width: Math.max(0, end - start), y };
+  }
+  
+  // ===== 版面分析 =====
+  /**
+   * 取得版面分析結果，視窗大小或內容區域不變時使用快取
+   * 快取由 ResizeObserver 及路由變化時清除
+   */
+  getLayout() {
+    const root = this.getContentRoot();
+    const cache = this.layoutCache;
+    
+    if (cache && cache.root === root &&
+        cache.viewportWidth === window.innerWidth && cache.viewportHeight === window.innerHeight) {
+      return cache;
+    }
+    
+    const startTime = performance.now();
+    const column = this.detectTextColumn(root);
+    const obstacles = this.findObstacles(column);
+    const duration = performance.now() - startTime;
+    
+    this.layoutCache = {
+      root,
+      viewportWidth: window.innerWidth,
+      viewportHeight: window.innerHeight,
+      column,
+      obstacles
+    };
+    this.layoutStats = {
+      duration: Math.round(duration * 10) / 10,
+      obstaclesCount: obstacles.length
+    };
+    
+    console.log(`版面分析完成: ${duration.toFixed(1)}ms，文字欄 ${Math.round(column.left)}–${Math.round(column.right)}px，${obstacles.length} 個固定元素`);
+    return this.layoutCache;
+  }
+  
+  invalidateLayout() {
+    this.layoutCache = null;
+    this.bodyTextStyle = null;
+  }
+  
+  /**
+   * 以內容區域中段落等區塊的左右邊界估算文字欄範圍
+   * 取四分位數，忽略少數較寬的圖片、表格或縮排的清單
+   * @returns {{ left: number, right: number }}
+   */
+  detectTextColumn(root) {
+    const lefts = [];
+    const rights = [];
+    const blocks = this.safeQuerySelectorAll(root, 'p, li, pre, blockquote, h1, h2, h3, h4, h5, h6');
+    
+    for (let i = 0; i < blocks.length && lefts.length < 60; i++) {
+      const rect = blocks[i].getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        lefts.push(rect.left);
+        rights.push(rect.right);
+      }
+    }
+    
+    if (lefts.length === 0) {
+      const rect = root.getBoundingClientRect();
+      return { left: Math.max(0, rect.left), right: Math.min(window.innerWidth, rect.right) };
+    }
+    
+    const percentile = (values, ratio) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * ratio))];
+    };
+    
+    return {
+      left: Math.max(0, percentile(lefts, 0.25)),
+      right: Math.min(window.innerWidth, percentile(rights, 0.75))
+    };
+  }
+  
+  /**
+   * 在文字欄兩側與頂端取樣，找出固定 / 黏性定位的元素
+   * 只檢查取樣點上的元素及其祖先，不掃描整份文件
+   * @returns {DOMRect[]}
+   */
+  findObstacles(column) {
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const xs = [
+      width * 0.02, column.left / 2, Math.max(0, column.left - 20),
+      Math.min(width - 1, column.right + 20), (column.right + width) / 2, width * 0.98,
+      width * 0.25, width * 0.5, width * 0.75
+    ];
+    const ys = [2, 40, height * 0.25, height * 0.5, height * 0.75, height - 2];
+    
+    const checked = new Set();
+    const found = new Set();
+    
+    xs.forEach(x => {
+      ys.forEach(y => {
+        document.elementsFromPoint(x, y).forEach(element => {
+          for (let el = element; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+            if (checked.has(el)) break;
+            checked.add(el);
+            
+            if (el === this.host) break;
+            
+            const position = window.getComputedStyle(el).position;
+            if (position === 'fixed' || position === 'sticky') {
+              found.add(el);
+              break;
+            }
+          }
+        });
+      });
+    });
+    
+    return [...found]
+      .map(el => el.getBoundingClientRect())
+      .filter(rect => rect.width > 50 && rect.height > 50);
+  }
+  
+  resolveSavedPosition(saved, containerRect) {
+    const maxX = Math.max(0, window.innerWidth - containerRect.width);
+    const maxY = Math.max(0, window.innerHeight - containerRect.height);
+    
+    const x = saved.horizontal.edge === 'right'
+      ? window.innerWidth - containerRect.width - saved.horizontal.offset
+      : saved.horizontal.offset;
+    const y = saved.vertical.edge === 'bottom'
+      ? window.innerHeight - containerRect.height - saved.vertical.offset
+      : saved.vertical.offset;
+    
+    return {
+      x: Math.max(0, Math.min(maxX, x)),
+      y: Math.max(0, Math.min(maxY, y))
+    };
+  }
+  
+  setPosition(position) {
+    this.position = position;
+    this.container.style.left = `${position.x}px`;
+    this.container.style.top = `${position.y}px`;
+  }
+  
+  // ===== 交互功能 =====
+  setupInteractions() {
+    // 目錄項目點擊
+    this.tocList.addEventListener('click', (e) => {
+      if (e.target.classList.contains('smart-toc-link')) {
+        e.preventDefault();
+        const index = parseInt(e.target.dataset.index);
+        this.scrollToHeading(index);
+      } else if (e.target.classList.contains('smart-toc-has-children')) {
+        const link = e.target.parentElement.querySelector('.smart-toc-link');
+        this.toggleFold(parseInt(link.dataset.index));
+      } else if (e.target.classList.contains('smart-toc-bookmark')) {
+        const link = e.target.parentElement.querySelector('.smart-toc-link');
+        this.toggleBookmark(parseInt(link.dataset.index));
+      } else if (e.target.classList.contains('smart-toc-note-btn')) {
+        const link = e.target.parentElement.querySelector('.smart-toc-link');
+        this.editNote(parseInt(link.dataset.index));
+      } else if (e.target.classList.contains('smart-toc-copy-link')) {
+        const link = e.target.parentElement.querySelector('.smart-toc-link');
+        this.copySectionLink(parseInt(link.dataset.index), e.target);
+      }
+    });
+    
+    // 標題搜尋
+    const searchInput = this.container.querySelector('.smart-toc-search');
+    searchInput.addEventListener('input', (e) => this.setFilter(e.target.value));
+    searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+    
+    // 繼續上次的閱讀位置
+    this.container.querySelector('.smart-toc-resume-btn').addEventListener('click', () => this.resumeReading());
+    this.container.querySelector('.smart-toc-resume-dismiss').addEventListener('click', () => this.dismissResume());
+    
+    // 展開至指定層級
+    const toolbar = this.container.querySelector('.smart-toc-toolbar');
+    toolbar.addEventListener('click', (e) => {
+      if (e.target.classList.contains('smart-toc-expand-level')) {
+        this.expandToLevel(parseInt(e.target.dataset.level));
+      }
+    });
+    
+    // 收合/展開按鈕
+    const toggleBtn = this.container.querySelector('.smart-toc-toggle');
+    toggleBtn.addEventListener('click', () => this.toggleCollapse());
+    
+    // 匯出目錄
+    const exportBtn = this.container.querySelector('.smart-toc-export');
+    exportBtn.addEventListener('click', () => this.toggleExportMenu());
+    this.container.querySelector('.smart-toc-export-copy').addEventListener('click', () => this.handleExportAction('copy'));
+    this.container.querySelector('.smart-toc-export-download').addEventListener('click', () => this.handleExportAction('download'));
+    
+    // 重設位置按鈕
+    const resetBtn = this.container.querySelector('.smart-toc-reset');
+    resetBtn.addEventListener('click', () => this.resetPosition());
+    
+    // 鍵盤操作
+    this.container.addEventListener('keydown', (e) => this.handlePanelKeydown(e));
+    
+    // 滑鼠或 Tab 進入的項目成為漫遊焦點
+    this.tocList.addEventListener('focusin', (e) => {
+      const link = e.target.closest('.smart-toc-link');
+      if (link) {
+        this.setFocusableItem(parseInt(link.dataset.index));
+      }
+    });
+    
+    // 拖曳功能
+    const dragBtn = this.container.querySelector('.smart-toc-drag');
+    this.setupDragFunctionality(dragBtn);
+  }
+  
+  toggleCollapse() {
+    this.isCollapsed = !this.isCollapsed;
+    this.updateCollapseState();
+  }
+  
+  updateCollapseState() {
+    this.container.classList.toggle('smart-toc-collapsed', this.isCollapsed);
+    
+    const toggleBtn = this.container.querySelector('.smart-toc-toggle');
+    toggleBtn.setAttribute('aria-expanded', String(!this.isCollapsed));
+    toggleBtn.setAttribute('aria-label', this.isCollapsed ? '展開目錄' : '收合目錄');
+    
+    const toggleIcon = this.container.querySelector('.smart-toc-toggle-icon');
+    toggleIcon.textContent = this.isCollapsed ? '+' : '−';
+  }
+  
+  togglePanel() {
+    if (!this.container) return;
+    
+    this.isHidden = !this.isHidden;
+    this.container.classList.toggle('smart-toc-hidden', this.isHidden);
+    
+    // 顯示時把焦點移到目前章節，方便直接用鍵盤操作
+    if (!this.isHidden && !this.isCollapsed) {
+      this.focusItem(this.currentActiveIndex);
+    }
+  }
+  
+  // ===== 鍵盤操作 =====
+  getKeyBindings() {
+    return { ...SmartTOCKeyBindings.DEFAULTS, ...(this.config.keyBindings || {}) };
+  }
+  
+  handlePanelKeydown(e) {
+    if (!this.config.keyboardNavigation || e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    // 表單控制項（匯出選項等）保留原本的按鍵行為
+    if (e.target.matches('input, select, textarea')) return;
+    
+    const bindings = this.getKeyBindings();
+    const action = Object.keys(bindings).find(name => bindings[name] === e.key) ||
+      { Home: 'first', End: 'last' }[e.key];
+    if (!action) return;
+    
+    const link = e.target.closest('.smart-toc-link');
+    const index = link ? parseInt(link.dataset.index) : this.currentActiveIndex;
+    
+    switch (action) {
+      case 'first':
+        this.focusItem(this.getAdjacentVisibleIndex(-1, 1));
+        break;
+        
+      case 'last':
+        this.focusItem(this.getAdjacentVisibleIndex(this.headings.length, -1));
+        break;
+        
+      case 'next':
+        this.focusItem(this.getAdjacentVisibleIndex(index, link ? 1 : 0));
+        break;
+        
+      case 'previous':
+        this.focusItem(this.getAdjacentVisibleIndex(index, link ? -1 : 0));
+        break;
+        
+      case 'activate':
+        // 焦點在標題列按鈕上時保留按鈕的預設行為
+        if (!link) return;
+        this.scrollToHeading(index);
+        break;
+        
+      case 'fold':
+        if (!link) return;
+        this.foldItem(index);
+        break;
+        
+      case 'unfold':
+        if (!link) return;
+        this.unfoldItem(index);
+        break;
+        
+      case 'bookmark':
+        if (!link) return;
+        this.toggleBookmark(index);
+        break;
+        
+      case 'note':
+        if (!link) return;
+        this.editNote(index);
+        break;
+        
+      case 'collapse':
+        if (!this.isCollapsed) {
+          this.toggleCollapse();
+          this.container.querySelector('.smart-toc-toggle').focus();
+        } else {
+          // 已收合時把焦點還給頁面
+          if (this.getActiveElement()) {
+            this.getActiveElement().blur();
+          }
+        }
+        break;
+    }
+    
+    e.preventDefault();
+    e.stopPropagation();
+  }
+  
+  focusItem(index) {
+    if (!this.container || index < 0 || index >= this.headings.length) return;
+    
+    const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+    if (link) {
+      this.setFocusableItem(index);
+      link.focus();
+    }
+  }
+  
+  // 漫遊 tabindex：整個目錄樹只有一個項目可用 Tab 進入
+  setFocusableItem(index) {
+    this.container.querySelectorAll('.smart-toc-link[tabindex="0"]').forEach(link => {
+      link.setAttribute('tabindex', '-1');
+    });
+    
+    const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+    if (link) {
+      link.setAttribute('tabindex', '0');
+    }
+  }
+  
+  getAdjacentVisibleIndex(index, direction) {
+    let next = index + direction;
+    
+    while (next >= 0 && next < this.headings.length && this.isItemHidden(next)) {
+      next += direction || 1;
+    }
+    
+    return next >= 0 && next < this.headings.length ? next : index;
+  }
+  
+  isItemHidden(index) {
+    const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+    if (!link || link.closest('.smart-toc-filtered-out')) return true;
+    
+    // 搜尋時忽略摺疊狀態，符合的項目一律顯示
+    return !this.filterQuery.trim() && Boolean(link.closest('.smart-toc-folded > .smart-toc-group'));
+  }
+  
+  // ===== 子章節摺疊 =====
+  hasChildren(index) {
+    return Boolean(this.treeNodes[index]) && this.treeNodes[index].children.length > 0;
+  }
+  
+  getParentIndex(index) {
+    return this.treeNodes[index] ? this.treeNodes[index].parent : -1;
+  }
+  
+  foldItem(index) {
+    // 已摺疊或沒有子章節時移到上一層
+    if (!this.hasChildren(index) || this.foldedIndices.has(index)) {
+      const parentIndex = this.getParentIndex(index);
+      if (parentIndex !== -1) {
+        this.focusItem(parentIndex);
+      }
+      return;
+    }
+    
+    this.foldedIndices.add(index);
+    this.applyFolding();
+  }
+  
+  unfoldItem(index) {
+    if (!this.hasChildren(index)) return;
+    
+    // 已展開時移到第一個子章節
+    if (!this.foldedIndices.has(index)) {
+      this.focusItem(this.treeNodes[index].children[0]);
+      return;
+    }
+    
+    this.foldedIndices.delete(index);
+    this.applyFolding();
+  }
+  
+  toggleFold(index) {
+    if (!this.hasChildren(index)) return;
+    
+    if (this.foldedIndices.has(index)) {
+      this.foldedIndices.delete(index);
+    } else {
+      this.foldedIndices.add(index);
+    }
+    this.applyFolding();
+  }
+  
+  // 展開前 level 層，更深的分支全部摺疊
+  expandToLevel(level) {
+    this.foldedIndices.clear();
+    this.treeNodes.forEach(node => {
+      if (node.children.length > 0 && node.depth >= level) {
+        this.foldedIndices.add(node.index);
+      }
+    });
+    this.applyFolding();
+  }
+  
+  /**
+   * 展開包含指定項目的分支；autoCollapse 開啟時同時摺疊其他分支
+   * @returns {boolean} 摺疊狀態是否有變化
+   */
+  revealItem(index) {
+    if (!this.treeNodes[index]) return false;
+    
+    const ancestors = new Set();
+    for (let current = this.treeNodes[index].parent; current !== -1; current = this.treeNodes[current].parent) {
+      ancestors.add(current);
+    }
+    
+    let changed = false;
+    this.treeNodes.forEach(node => {
+      if (node.children.length === 0) return;
+      
+      const folded = this.foldedIndices.has(node.index);
+      let shouldFold = folded && !ancestors.has(node.index);
+      if (this.config.autoCollapse) {
+        shouldFold = !ancestors.has(node.index) && node.index !== index;
+      }
+      
+      if (shouldFold !== folded) {
+        changed = true;
+        if (shouldFold) {
+          this.foldedIndices.add(node.index);
+        } else {
+          this.foldedIndices.delete(node.index);
+        }
+      }
+    });
+    
+    return changed;
+  }
+  
+  applyFolding() {
+    this.treeNodes.forEach(node => {
+      if (node.children.length === 0) return;
+      
+      const link = this.container.querySelector(`.smart-toc-link[data-index="${node.index}"]`);
+      if (!link) return;
+      
+      const folded = this.foldedIndices.has(node.index);
+      link.closest('.smart-toc-item').classList.toggle('smart-toc-folded', folded);
+      link.setAttribute('aria-expanded', String(!folded));
+    });
+  }
+  
+  // ===== 標題搜尋 =====
+  setFilter(query) {
+    this.filterQuery = query;
+    this.applyFilter();
+  }
+  
+  /**
+   * 依搜尋字串篩選目錄：顯示符合的項目及其上層章節，並標示符合的文字
+   */
+  applyFilter() {
+    if (!this.container) return;
+    
+    const query = this.filterQuery.trim();
+    const visible = new Array(this.headings.length).fill(!query);
+    this.filterMatches = [];
+    this.container.classList.toggle('smart-toc-filtering', query !== '');
+    
+    // 子節點的索引一定大於父節點，由後往前處理即可把結果傳給上層
+    for (let index = this.headings.length - 1; index >= 0; index--) {
+      const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+      if (!link) continue;
+      
+      const text = this.headings[index].text;
+      const ranges = query ? this.matchText(text, query) : null;
+      this.highlightLink(link, text, ranges);
+      
+      if (ranges) {
+        visible[index] = true;
+        this.filterMatches.unshift(index);
+      }
+      
+      const parent = this.treeNodes[index] ? this.treeNodes[index].parent : -1;
+      if (visible[index] && parent !== -1) {
+        visible[parent] = true;
+      }
+      
+      const item = link.closest('.smart-toc-item');
+      item.classList.toggle('smart-toc-filtered-out', !visible[index]);
+      item.classList.toggle('smart-toc-filter-context', Boolean(query) && visible[index] && !ranges);
+    }
+    
+    this.container.querySelector('.smart-toc-search-empty').hidden = !query || this.filterMatches.length > 0;
+  }
+  
+  /**
+   * 模糊比對：先找連續符合的子字串，找不到時改為依序符合每個字元
+   * 比對前會去除變音符號、轉為小寫並統一全形/半形字元
+   * @returns {Array<[number, number]>|null} 原始文字中符合的區間
+   */
+  matchText(text, query) {
+    const source = this.normalizeSearchText(text);
+    const target = this.normalizeSearchText(query.replace(/\s+/g, ' ')).text;
+    if (!target) return null;
+    
+    const start = source.text.indexOf(target);
+    if (start !== -1) {
+      return this.mergeRanges(source.offsets.slice(start, start + target.length));
+    }
+    
+    const compact = target.replace(/\s/g, '');
+    const matched = [];
+    let position = 0;
+    
+    for (const char of compact) {
+      position = source.text.indexOf(char, position);
+      if (position === -1) return null;
+      matched.push(source.offsets[position]);
+      position += char.length;
+    }
+    
+    return this.mergeRanges(matched);
+  }
+  
+  /**
+   * 正規化搜尋文字，同時記錄每個字元在原始文字中的位置，供標示使用
+   * @returns {{ text: string, offsets: Array<[number, number]> }}
+   */
+  normalizeSearchText(text) {
+    let normalized = '';
+    const offsets = [];
+    let offset = 0;
+    
+    for (const char of text) {
+      const folded = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      for (let i = 0; i < folded.length; i++) {
+        offsets.push([offset, offset + char.length]);
+      }
+      normalized += folded;
+      offset += char.length;
+    }
+    
+    return { text: normalized, offsets };
+  }
+  
+  mergeRanges(ranges) {
+    const merged = [];
+    
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    
+    return merged;
+  }
+  
+  highlightLink(link, text, ranges) {
+    if (!ranges) {
+      link.textContent = text;
+      return;
+    }
+    
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      html += this.escapeHtml(text.slice(position, start));
+      html += `<mark class="smart-toc-match">${this.escapeHtml(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+    html += this.escapeHtml(text.slice(position));
+    
+    link.innerHTML = html;
+  }
+  
+  handleSearchKeydown(e) {
+    // 搜尋框內的按鍵不交給目錄或網頁的快捷鍵處理
+    e.stopPropagation();
+    
+    switch (e.key) {
+      case 'Enter':
+        if (this.filterMatches.length > 0) {
+          this.scrollToHeading(this.filterMatches[0]);
+        }
+        break;
+        
+      case 'ArrowDown':
+        this.focusItem(this.filterMatches.length > 0
+          ? this.filterMatches[0]
+          : this.getAdjacentVisibleIndex(-1, 1));
+        break;
+        
+      case 'Escape':
+        // 有內容時先清除，空白時把焦點還給頁面
+        if (e.target.value) {
+          e.target.value = '';
+          this.setFilter('');
+        } else {
+          e.target.blur();
+        }
+        break;
+        
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+  }
+  
+  setupDragFunctionality(dragHandle) {
+    let startX, startY, startPosX, startPosY;
+    let hasMoved = false;
+    
+    dragHandle.addEventListener('mousedown', (e) => {
+      this.isDragging = true;
+      hasMoved = false;
+      startX = e.clientX;
+      startY = e.clientY;
+      startPosX = this.position.x;
+      startPosY = this.position.y;
+      
+      this.container.classList.add('smart-toc-dragging');
+      
+      // 在 window 的捕獲階段監聽，目錄內的 mouseup 不會冒泡到網頁
+      window.addEventListener('mousemove', handleMouseMove, true);
+      window.addEventListener('mouseup', handleMouseUp, true);
+      
+      e.preventDefault();
+    });
+    
+    const handleMouseMove = (e) => {
+      if (!this.isDragging) return;
+      
+      const deltaX = e.clientX - startX;
+      const deltaY = e.clientY - startY;
+      hasMoved = hasMoved || deltaX !== 0 || deltaY !== 0;
+      
+      const newX = Math.max(0, Math.min(window.innerWidth - this.container.offsetWidth, startPosX + deltaX));
+      const newY = Math.max(0, Math.min(window.innerHeight - this.container.offsetHeight, startPosY + deltaY));
+      
+      this.setPosition({ x: newX, y: newY });
+    };
+    
+    const handleMouseUp = () => {
+      this.isDragging = false;
+      this.container.classList.remove('smart-toc-dragging');
+      
+      window.removeEventListener('mousemove', handleMouseMove, true);
+      window.removeEventListener('mouseup', handleMouseUp, true);
+      
+      // 儲存位置（只點擊未移動時不儲存）
+      if (hasMoved) {
+        this.savePosition();
+      }
+    };
+  }
+  
+  scrollToHeading(index) {
+    if (!this.container || index < 0 || index >= this.headings.length) return;
+    
+    const heading = this.headings[index];
+    const element = heading.element;
+    
+    if (element.ownerDocument !== document) {
+      // iframe 內的標題需同時捲動 iframe 與外層頁面，交給瀏覽器處理
+      element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } else {
+      // 平滑滾動到目標，並避開固定導覽列（頁面設定的 scroll-margin-top 較大時以其為準）
+      this.stickyOffset = this.getStickyHeaderHeight();
+      const margin = Math.max(this.stickyOffset + 8, parseFloat(window.getComputedStyle(element).scrollMarginTop) || 0);
+      this.scrollToPosition(this.getScrollOffset(element) - margin);
+    }
+    
+    // 更新高亮
+    this.updateActiveItem(index);
+    
+    // 焦點移到目標標題，讓螢幕閱讀器從跳轉的位置繼續閱讀
+    this.focusHeading(element);
+  }
+  
+  /**
+   * 網址錨點指向目錄產生的 id 時，瀏覽器找不到對應元素，改由目錄跳轉
+   */
+  scrollToLocationHash() {
+    const hash = window.location.hash;
+    if (!hash || window.location.href === this.handledLocation) return;
+    this.handledLocation = window.location.href;
+    
+    let fragment;
+    try {
+      fragment = decodeURIComponent(hash.slice(1));
+    } catch (error) {
+      return;
+    }
+    
+    // shadow root 與 iframe 內的標題無法由瀏覽器依錨點跳轉，也需由目錄處理
+    const index = this.headings.findIndex(heading => heading.id === fragment &&
+      (heading.generatedId || heading.element.getRootNode() !== document));
+    if (index === -1) return;
+    
+    // 開啟分享連結時以連結為準，不再提示上次的閱讀位置
+    this.dismissResume();
+    this.scrollToHeading(index);
+  }
+  
+  async copySectionLink(index, button) {
+    try {
+      await this.copyToClipboard(this.getHeadingURL(index));
+      button.textContent = '✓';
+    } catch (error) {
+      console.error('複製章節連結失敗:', error);
+      button.textContent = '✗';
+    }
+    
+    setTimeout(() => {
+      button.textContent = '🔗';
+    }, 1500);
+  }
+  
+  focusHeading(element) {
+    // 標題原本不可聚焦時暫時加上 tabindex，失去焦點後移除，不改動頁面原有的屬性
+    if (element.hasAttribute('tabindex')) {
+      element.focus({ preventScroll: true });
+      return;
+    }
+    
+    element.setAttribute('tabindex', '-1');
+    element.focus({ preventScroll: true });
+    
+    if (element.getRootNode().activeElement === element) {
+      element.addEventListener('blur', () => {
+        element.removeAttribute('tabindex');
+      }, { once: true });
+    } else {
+      // 無法取得焦點（例如元素已隱藏）時立即還原
+      element.removeAttribute('tabindex');
+    }
+  }
+  
+  updateActiveItem(index) {
+    // 移除舊的高亮
+    this.container.querySelectorAll('.smart-toc-link').forEach(link => {
+      link.classList.remove('smart-toc-active');
+      link.removeAttribute('aria-current');
+    });
+    
+    // 添加新的高亮
+    if (index >= 0 && index < this.headings.length) {
+      const activeLink = this.container.querySelector(`[data-index="${index}"]`);
+      if (activeLink) {
+        activeLink.classList.add('smart-toc-active');
+        activeLink.setAttribute('aria-current', 'location');
+        this.currentActiveIndex = index;
+        
+        // 展開目前章節所在的分支，避免高亮項目被摺疊隱藏
+        if (this.revealItem(index)) {
+          this.applyFolding();
+        }
+        
+        this.scrollListToItem(index);
+        
+        // 焦點不在目錄內時，讓 Tab 進入目錄後落在目前章節
+        if (!this.getActiveElement()) {
+          this.setFocusableItem(index);
+        }
+      }
+    }
+  }
+  
+  // ===== 閱讀進度 =====
+  /**
+   * 計算每個章節（相鄰兩個標題之間）的字數與預估閱讀時間
+   * 中日韓文字逐字計算，其他語言以單字計算
+   * @returns {Array<{words: number, cjkChars: number, minutes: number}>}
+   */
+  computeSectionMetrics() {
+    const sections = this.headings.map(() => ({ words: 0, cjkChars: 0, minutes: 0 }));
+    if (this.headings.length === 0) return sections;
+    
+    const excludeSelector = this.getExcludeSelector();
+    const headingIndices = new Map(this.headings.map((heading, index) => [heading.element, index]));
+    let current = -1;
+    
+    // 依文件順序走訪（含 shadow root 與 iframe），經過標題時切換到新章節
+    this.walkComposedTree(this.getContentRoot(), (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (headingIndices.has(node)) {
+          // 標題本身的文字不列入章節
+          current = headingIndices.get(node);
+          return false;
+        }
+        if (node.matches('script, style, noscript, template')) {
+          return false;
+        }
+        if (excludeSelector && node.matches(excludeSelector)) {
+          return false;
+        }
+        return true;
+      }
+      
+      // 第一個標題之前的前言不列入章節
+      if (node.nodeType === Node.TEXT_NODE && current !== -1) {
+        const counts = this.countWords(node.textContent);
+        sections[current].words += counts.words;
+        sections[current].cjkChars += counts.cjkChars;
+      }
+      return true;
+    });
+    
+    sections.forEach(section => {
+      section.minutes = section.words / this.config.wordsPerMinute +
+        section.cjkChars / this.config.charsPerMinute;
+    });
+    
+    return sections;
+  }
+  
+  countWords(text) {
+    const cjkPattern = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]/g;
+    const cjkChars = (text.match(cjkPattern) || []).length;
+    const words = (text.replace(cjkPattern, ' ').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+    return { words, cjkChars };
+  }
+  
+  formatReadingTime(minutes, short = false) {
+    if (minutes < 1) {
+      return short ? '<1 分' : '不到 1 分鐘';
+    }
+    return short ? `${Math.round(minutes)} 分` : `${Math.round(minutes)} 分鐘`;
+  }
+  
+  /**
+   * 依滾動位置更新進度條、剩餘時間及已讀章節
+   */
+  updateReadingProgress() {
+    if (!this.container || this.headings.length === 0) return;
+    
+    const root = this.getContentRoot();
+    let progress;
+    
+    if (this.scrollContainer && root.contains(this.scrollContainer)) {
+      // 內容根節點本身就是滾動容器（或包含它）時，位置不會隨捲動改變
+      const scrollable = this.scrollContainer.scrollHeight - this.scrollContainer.clientHeight;
+      progress = scrollable > 0 ? Math.min(1, Math.max(0, this.scrollContainer.scrollTop / scrollable)) : 1;
+    } else {
+      const rect = root.getBoundingClientRect();
+      const viewport = this.getViewportRect();
+      const scrollable = rect.height - viewport.height;
+      progress = scrollable > 0
+        ? Math.min(1, Math.max(0, (viewport.top - rect.top) / scrollable))
+        : (rect.bottom <= viewport.bottom ? 1 : 0);
+    }
+    
+    const finished = progress >= 1;
+    this.readingProgress = progress;
+    
+    const isRead = (index) => finished || index < this.currentActiveIndex;
+    
+    // 已讀章節只在目前章節或讀完狀態改變時更新
+    const readState = `${this.currentActiveIndex}|${finished}`;
+    if (readState !== this.readState) {
+      this.readState = readState;
+      this.tocLinks.forEach((link, index) => {
+        link.classList.toggle('smart-toc-read', isRead(index));
+      });
+    }
+    
+    const remaining = this.sectionMetrics.reduce((total, section, index) =>
+      isRead(index) ? total : total + section.minutes, 0);
+    const percent = Math.round(progress * 100);
+    const progressBar = this.container.querySelector('.smart-toc-progress');
+    if (progressBar.getAttribute('aria-valuenow') !== String(percent)) {
+      progressBar.setAttribute('aria-valuenow', String(percent));
+      progressBar.firstElementChild.style.width = `${percent}%`;
+    }
+    
+    const reading = this.container.querySelector('.smart-toc-reading');
+    const text = finished
+      ? '已讀完'
+      : `已讀 ${percent}% · 剩餘${remaining < 1 ? '' : '約 '}${this.formatReadingTime(remaining)}`;
+    if (reading.textContent !== text) {
+      reading.textContent = text;
+    }
+  }
+  
+  // ===== 閱讀位置 =====
+  // 閱讀紀錄以正規化網址為鍵存在 storage.local，忽略錨點與追蹤參數
+  getReadingKey(url = window.location.href) {
+    try {
+      const parsed = new URL(url);
+      const params = [...parsed.searchParams]
+        .filter(([key]) => !/^(utm_|fbclid$|gclid$)/.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+      const query = new URLSearchParams(params).toString();
+      const path = parsed.pathname.replace(/\/+$/, '') || '/';
+      return `${parsed.origin}${path}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return url;
+    }
+  }
+  
+  async loadReadingPosition() {
+    this.resumeEntry = null;
+    
+    try {
+      const result = await chrome.storage.local.get(['smartTocReading']);
+      const entries = this.pruneReadingHistory(result.smartTocReading || {});
+      const entry = entries[this.getReadingKey()];
+      
+      // 已讀完或仍在第一個畫面內的紀錄不需要提示
+      if (entry && entry.progress < 1 && entry.scrollY > window.innerHeight) {
+        this.resumeEntry = entry;
+      }
+    } catch (error) {
+      console.log('無法載入閱讀位置');
+    }
+  }
+  
+  async saveReadingPosition() {
+    // 提示尚未處理前保留舊紀錄，避免在頁首捲動時被覆蓋
+    if (!this.container || this.headings.length === 0 || this.resumeEntry) return;
+    
+    // 還沒有章節成為目前章節（剛載入或尚未捲動）時不記錄
+    const index = Math.min(this.currentActiveIndex, this.headings.length - 1);
+    if (index < 0) return;
+    
+    const heading = this.headings[index];
+    const headingTop = this.getScrollOffset(heading.element);
+    const scrollTop = this.getScrollTop();
+    
+    const entry = {
+      url: window.location.href.split('#')[0],
+      title: document.title || heading.text,
+      headingIndex: index,
+      headingText: heading.text,
+      offset: Math.round(scrollTop - headingTop),   // 相對章節標題的位置
+      scrollY: Math.round(scrollTop),
+      progress: this.readingProgress,
+      updatedAt: Date.now()
+    };
+    
+    try {
+      const result = await chrome.storage.local.get(['smartTocReading']);
+      const entries = result.smartTocReading || {};
+      entries[this.getReadingKey()] = entry;
+      
+      await chrome.storage.local.set({ smartTocReading: this.pruneReadingHistory(entries) });
+    } catch (error) {
+      console.log('無法儲存閱讀位置');
+    }
+  }
+  
+  // 移除過期紀錄，並只保留最近閱讀的項目
+  pruneReadingHistory(entries) {
+    const now = Date.now();
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => entry && now - entry.updatedAt < SmartTOC.READING_HISTORY_MAX_AGE)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(0, SmartTOC.READING_HISTORY_LIMIT);
+      
+    return Object.fromEntries(kept);
+  }
+  
+  handleReadingScroll() {
+    // 使用者自行捲動離開頁首（或瀏覽器還原了捲動位置）後不再提示
+    if (this.resumeEntry && this.getScrollTop() > this.getViewportRect().height) {
+      this.dismissResume();
+    }
+    
+    this.saveDebounce(() => this.saveReadingPosition(), 1000);
+  }
+  
+  findResumeIndex(entry) {
+    // 標題文字比索引可靠，頁面內容增減後仍能找到同一章節
+    const byText = this.headings.findIndex(heading => heading.text === entry.headingText);
+    if (byText !== -1) return byText;
+    
+    return entry.headingIndex < this.headings.length ? entry.headingIndex : -1;
+  }
+  
+  renderResumePrompt() {
+    if (this.resumeEntry && this.getScrollTop() > this.getViewportRect().height) {
+      this.resumeEntry = null;
+    }
+    
+    const prompt = this.container.querySelector('.smart-toc-resume');
+    prompt.hidden = !this.resumeEntry;
+    
+    if (this.resumeEntry) {
+      prompt.querySelector('.smart-toc-resume-text').textContent = `上次讀到「${this.resumeEntry.headingText}」`;
+    }
+  }
+  
+  resumeReading() {
+    const entry = this.resumeEntry;
+    if (!entry) return;
+    
+    this.dismissResume();
+    
+    const index = this.findResumeIndex(entry);
+    if (index === -1) {
+      this.scrollToPosition(entry.scrollY);
+      return;
+    }
+    
+    const headingTop = this.getScrollOffset(this.headings[index].element);
+    this.scrollToPosition(headingTop + Math.max(0, entry.offset || 0));
+    this.updateActiveItem(index);
+  }
+  
+  dismissResume() {
+    this.resumeEntry = null;
+    
+    if (this.container) {
+      this.container.querySelector('.smart-toc-resume').hidden = true;
+    }
+  }
+  
+  // ===== 書籤與筆記 =====
+  /**
+   * 產生標題指紋：層級 + 正規化文字 + 同名標題的序號
+   * 不使用 findHeadings 產生的 id，頁面重新載入或結構小幅變動後仍能對應到同一章節
+   */
+  computeHeadingFingerprints() {
+    const counts = new Map();
+    
+    return this.headings.map(heading => {
+      const text = heading.text.replace(/\s+/g, ' ').trim().toLowerCase();
+      const base = `${heading.level}|${text}`;
+      const ordinal = counts.get(base) || 0;
+      counts.set(base, ordinal + 1);
+      return `${base}|${ordinal}`;
+    });
+  }
+  
+  // 書籤以正規化網址為鍵存在 storage.local，與閱讀紀錄相同
+  async loadBookmarks() {
+    try {
+      const result = await chrome.storage.local.get(['smartTocBookmarks']);
+      const page = (result.smartTocBookmarks || {})[this.getReadingKey()];
+      this.bookmarks = page ? page.items : {};
+    } catch (error) {
+      console.log('無法載入書籤');
+      this.bookmarks = {};
+    }
+  }
+  
+  async updateStoredBookmarks() {
+    try {
+      const result = await chrome.storage.local.get(['smartTocBookmarks']);
+      const pages = result.smartTocBookmarks || {};
+      const key = this.getReadingKey();
+      
+      if (Object.keys(this.bookmarks).length > 0) {
+        pages[key] = {
+          url: window.location.href.split('#')[0],
+          title: document.title || this.headings[0].text,
+          items: this.bookmarks,
+          updatedAt: Date.now()
+        };
+      } else {
+        delete pages[key];
+      }
+      
+      await chrome.storage.local.set({ smartTocBookmarks: pages });
+    } catch (error) {
+      console.log('無法儲存書籤');
+    }
+  }
+  
+  setupStorageListener() {
+    // popup 刪除書籤時同步更新目錄
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local' || !changes.smartTocBookmarks) return;
+      
+      const page = (changes.smartTocBookmarks.newValue || {})[this.getReadingKey()];
+      this.bookmarks = page ? page.items : {};
+      this.renderBookmarks();
+    });
+  }
+  
+  createBookmark(index) {
+    const heading = this.headings[index];
+    return {
+      text: heading.text,
+      level: heading.level,
+      // 產生的錨點由目錄解析，開啟連結時同樣能跳到該章節
+      anchor: heading.id,
+      note: '',
+      createdAt: Date.now()
+    };
+  }
+  
+  toggleBookmark(index) {
+    const fingerprint = this.headingFingerprints[index];
+    if (!fingerprint) return;
+    
+    if (this.bookmarks[fingerprint]) {
+      delete this.bookmarks[fingerprint];
+    } else {
+      this.bookmarks[fingerprint] = this.createBookmark(index);
+    }
+    
+    this.renderBookmarks();
+    this.updateStoredBookmarks();
+  }
+  
+  saveNote(index, note) {
+    const fingerprint = this.headingFingerprints[index];
+    const text = note.trim();
+    
+    // 加上筆記時自動加入書籤；清空筆記則保留書籤
+    if (text) {
+      this.bookmarks[fingerprint] = { ...(this.bookmarks[fingerprint] || this.createBookmark(index)), note: text };
+    } else if (this.bookmarks[fingerprint]) {
+      this.bookmarks[fingerprint].note = '';
+    }
+    
+    this.renderBookmarks();
+    this.updateStoredBookmarks();
+  }
+  
+  editNote(index) {
+    const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+    if (!link) return;
+    
+    const bookmark = this.bookmarks[this.headingFingerprints[index]];
+    const noteElement = link.parentElement.nextElementSibling;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'smart-toc-note-input';
+    input.maxLength = 200;
+    input.value = bookmark ? bookmark.note : '';
+    input.placeholder = '輸入筆記，Enter 儲存';
+    input.setAttribute('aria-label', `「${this.headings[index].text}」的筆記`);
+    
+    noteElement.textContent = '';
+    noteElement.appendChild(input);
+    noteElement.hidden = false;
+    input.focus();
+    
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      
+      if (save) {
+        this.saveNote(index, input.value);
+      } else {
+        this.renderBookmarks();
+      }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      // 輸入筆記時的按鍵不交給目錄或網頁的快捷鍵處理
+      e.stopPropagation();
+      
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        finish(e.key === 'Enter');
+        this.focusItem(index);
+      }
+    });
+    
+    input.addEventListener('blur', () => finish(true));
+  }
+  
+  renderBookmarks() {
+    if (!this.container) return;
+    
+    this.headings.forEach((heading, index) => {
+      const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+      if (!link) return;
+      
+      const bookmark = this.bookmarks[this.headingFingerprints[index]];
+      const row = link.parentElement;
+      const star = row.querySelector('.smart-toc-bookmark');
+      const noteElement = row.nextElementSibling;
+      
+      link.closest('.smart-toc-item').classList.toggle('smart-toc-bookmarked', Boolean(bookmark));
+      star.textContent = bookmark ? '★' : '☆';
+      star.setAttribute('aria-pressed', String(Boolean(bookmark)));
+      
+      noteElement.textContent = bookmark && bookmark.note ? bookmark.note : '';
+      noteElement.hidden = !noteElement.textContent;
+    });
+  }
+  
+  // ===== 匯出目錄 =====
+  /**
+   * 將目錄序列化為指定格式
+   * @param {string} format - markdown, html, json, opml
+   * @param {{ includeWordCounts: boolean }} options
+   * @returns {{ content: string, filename: string, mimeType: string }}
+   */
+  exportTOC(format, options = {}) {
+    const type = SmartTOC.EXPORT_FORMATS[format];
+    if (!type) {
+      throw new Error(`不支援的匯出格式: ${format}`);
+    }
+    
+    const includeWordCounts = Boolean(options.includeWordCounts);
+    const serializers = {
+      markdown: () => this.exportMarkdown(includeWordCounts),
+      html: () => this.exportHTML(includeWordCounts),
+      json: () => this.exportJSON(includeWordCounts),
+      opml: () => this.exportOPML(includeWordCounts)
+    };
+    
+    return {
+      content: serializers[format](),
+      filename: `${this.getExportBaseName()}.${type.extension}`,
+      mimeType: type.mimeType
+    };
+  }
+  
+  getExportTitle() {
+    return document.title.trim() || (this.headings[0] ? this.headings[0].text : '目錄');
+  }
+  
+  getExportBaseName() {
+    const name = this.getExportTitle()
+      .replace(/[\\/:*?"<>|\s]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80);
+    return `${name || 'toc'}-toc`;
+  }
+  
+  getHeadingURL(index) {
+    return `${window.location.href.split('#')[0]}#${encodeURIComponent(this.headings[index].id)}`;
+  }
+  
+  getWordCount(index) {
+    const metrics = this.sectionMetrics[index];
+    return metrics ? metrics.words + metrics.cjkChars : 0;
+  }
+  
+  // 依樹狀結構走訪，render(node, childrenOutput) 回傳單一節點的輸出
+  serializeTree(render) {
+    const visit = (indices) => indices.map(index => {
+      const node = this.treeNodes[index];
+      return render(node, visit(node.children));
+    });
+    
+    return visit(this.treeNodes.filter(node => node.parent === -1).map(node => node.index));
+  }
+  
+  exportMarkdown(includeWordCounts) {
+    const lines = [`# ${this.escapeMarkdown(this.getExportTitle())}`, ''];
+    
+    this.headings.forEach((heading, index) => {
+      const indent = '  '.repeat(this.treeNodes[index].depth - 1);
+      const text = this.escapeMarkdown(heading.text);
+      const url = this.getHeadingURL(index).replace(/\(/g, '%28').replace(/\)/g, '%29');
+      const count = includeWordCounts ? ` (${this.getWordCount(index)} 字)` : '';
+      lines.push(`${indent}- [${text}](${url})${count}`);
+    });
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  // 以反斜線跳脫會被解讀為格式的字元（強調、程式碼、連結、HTML 標籤、標題記號、表格與實體）
+  escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>#~|!&]/g, '\\$&');
+  }
+  
+  exportHTML(includeWordCounts) {
+    const list = (items) => items.length > 0 ? `<ul>${items.join('')}</ul>` : '';
+    const body = this.serializeTree((node, children) => {
+      const index = node.index;
+      const count = includeWordCounts ? ` <small>(${this.getWordCount(index)} 字)</small>` : '';
+      return `<li><a href="${this.escapeHtml(this.getHeadingURL(index))}">${this.escapeHtml(this.headings[index].text)}</a>${count}${list(children)}</li>`;
+    });
+    const title = this.escapeHtml(this.getExportTitle());
+    
+    return [
+      '<!DOCTYPE html>',
+      `<html lang="${this.escapeHtml(document.documentElement.lang || 'zh-TW')}">`,
+      '<head>',
+      '<meta charset="UTF-8">',
+      `<title>${title}</title>`,
+      '</head>',
+      '<body>',
+      '<nav>',
+      `<h1><a href="${this.escapeHtml(window.location.href.split('#')[0])}">${title}</a></h1>`,
+      list(body),
+      '</nav>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+  
+  exportJSON(includeWordCounts) {
+    const headings = this.headings.map((heading, index) => {
+      const item = {
+        text: heading.text,
+        level: heading.level,
+        depth: this.treeNodes[index].depth,
+        id: heading.id,
+        fragment: `#${encodeURIComponent(heading.id)}`,
+        url: this.getHeadingURL(index)
+      };
+      if (includeWordCounts) {
+        item.wordCount = this.getWordCount(index);
+      }
+      return item;
+    });
+    
+    return JSON.stringify({
+      title: this.getExportTitle(),
+      url: window.location.href.split('#')[0],
+      exportedAt: new Date().toISOString(),
+      headings
+    }, null, 2) + '\n';
+  }
+  
+  exportOPML(includeWordCounts) {
+    const escapeXml = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+      
+    const outlines = this.serializeTree((node, children) => {
+      const index = node.index;
+      const count = includeWordCounts ? ` wordCount="${this.getWordCount(index)}"` : '';
+      const attributes = `text="${escapeXml(this.headings[index].text)}" type="link" url="${escapeXml(this.getHeadingURL(index))}"${count}`;
+      return children.length > 0
+        ? `<outline ${attributes}>${children.join('')}</outline>`
+        : `<outline ${attributes}/>`;
+    });
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '<head>',
+      `<title>${escapeXml(this.getExportTitle())}</title>`,
+      `<dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '</head>',
+      '<body>',
+      outlines.join('\n'),
+      '</body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+  
+  toggleExportMenu(show) {
+    const menu = this.container.querySelector('.smart-toc-export-menu');
+    const button = this.container.querySelector('.smart-toc-export');
+    const visible = show === undefined ? menu.hidden : show;
+    
+    menu.hidden = !visible;
+    button.setAttribute('aria-expanded', String(visible));
+    
+    if (visible) {
+      menu.querySelector('.smart-toc-export-format').focus();
+    }
+  }
+  
+  async handleExportAction(action) {
+    const menu = this.container.querySelector('.smart-toc-export-menu');
+    const result = this.exportTOC(menu.querySelector('.smart-toc-export-format').value, {
+      includeWordCounts: menu.querySelector('.smart-toc-export-words').checked
+    });
     
-    // 檢測固定定位的元素（如導航欄、側邊欄）
-    const fixedElements = document.querySelectorAll('*');
-    const obstacles = [];
+    const button = menu.querySelector(`.smart-toc-export-${action}`);
+    const label = button.dataset.label || button.textContent;
+    button.dataset.label = label;
     
-    fixedElements.forEach(el => {
-      const style = window.getComputedStyle(el);
-      if (style.position === 'fixed' || style.position === 'sticky') {
-        const rect = el.getBoundingClientRect();
-        if (rect.width > 50 && rect.height > 50) {
-          obstacles.push(rect);
-        }
+    try {
+      if (action === 'copy') {
+        await this.copyToClipboard(result.content);
+        button.textContent = '已複製';
+      } else {
+        this.downloadFile(result);
+        button.textContent = '已下載';
       }
-    });
+    } catch (error) {
+      console.error('匯出目錄失敗:', error);
+      button.textContent = '失敗';
+    }
     
-    if (side === 'right') {
-      let availableWidth = 300;
-      let obstacleX = viewport.width;
-      
-      obstacles.forEach(rect => {
-        if (rect.right > viewport.width - 350) {
-          obstacleX = Math.min(obstacleX, rect.left);
-        }
-      });
-      
-      return {
-        width: Math.max(0, obstacleX - (viewport.width - 300)),
-        y: 100
-      };
-    } else {
-      let availableWidth = 300;
-      let obstacleX = 0;
-      
-      obstacles.forEach(rect => {
-        if (rect.left < 350) {
-          obstacleX = Math.max(obstacleX, rect.right);
-        }
-      });
+    setTimeout(() => {
+      button.textContent = label;
+    }, 1500);
+  }
+  
+  async copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // 部分網站的權限政策禁止 Clipboard API，改用舊方法
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
       
-      return {
-        width: Math.max(0, 300 - obstacleX),
-        y: 100
-      };
+      if (!copied) {
+        throw error;
+      }
     }
   }
   
-  setPosition(position) {
-    this.position = position;
-    this.container.style.left = `${position.x}px`;
-    this.container.style.top = `${position.y}px`;
+  downloadFile({ content, filename, mimeType }) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
   
-  // ===== 交互功能 =====
-  setupInteractions() {
-    // 目錄項目點擊
-    this.tocList.addEventListener('click', (e) => {
-      if (e.target.classList.contains('smart-toc-link')) {
-        e.preventDefault();
-        const index = parseInt(e.target.dataset.index);
-        this.scrollToHeading(index);
+  // ===== 滾動容器 =====
+  /**
+   * 找出實際捲動內容的元素：文件站或應用程式外框常把內容放在可捲動的 main 中
+   * @returns {Element|null} 可捲動的祖先元素，由視窗捲動時為 null
+   */
+  findScrollContainer() {
+    const start = this.headings.length > 0 ? this.headings[0].element : this.getContentRoot();
+    
+    for (let element = this.getComposedParent(start); element; element = this.getComposedParent(element)) {
+      if (element === document.body || element === document.documentElement) break;
+      // iframe 內部的捲動由 iframe 自己處理，只考慮頂層文件中的元素
+      if (element.ownerDocument !== document) continue;
+      
+      const overflowY = window.getComputedStyle(element).overflowY;
+      if (/(auto|scroll|overlay)/.test(overflowY) && element.scrollHeight > element.clientHeight) {
+        return element;
       }
-    });
+    }
     
-    // 收合/展開按鈕
-    const toggleBtn = this.container.querySelector('.smart-toc-toggle');
-    toggleBtn.addEventListener('click', () => this.toggleCollapse());
+    return null;
+  }
+  
+  updateScrollContainer() {
+    const container = this.findScrollContainer();
+    if (container === this.scrollContainer) return;
     
-    // 拖曳功能
-    const dragBtn = this.container.querySelector('.smart-toc-drag');
-    this.setupDragFunctionality(dragBtn);
+    // 滾動事件不會冒泡，需改為監聽新的容器
+    if (this.handleScroll) {
+      (this.scrollContainer || window).removeEventListener('scroll', this.handleScroll);
+      (container || window).addEventListener('scroll', this.handleScroll, { passive: true });
+    }
+    
+    this.scrollContainer = container;
+    console.log(container ? `偵測到滾動容器: ${this.describeElement(container)}` : '使用視窗滾動');
   }
   
-  toggleCollapse() {
-    this.isCollapsed = !this.isCollapsed;
-    this.container.classList.toggle('smart-toc-collapsed', this.isCollapsed);
+  getScrollTop() {
+    return this.scrollContainer ? this.scrollContainer.scrollTop : window.pageYOffset;
+  }
+  
+  /**
+   * 可見的捲動區域（相對視窗），滾動容器超出視窗的部分不計入
+   * @returns {{ top: number, bottom: number, height: number }}
+   */
+  getViewportRect() {
+    if (!this.scrollContainer) {
+      return { top: 0, bottom: window.innerHeight, height: window.innerHeight };
+    }
     
-    const toggleIcon = this.container.querySelector('.smart-toc-toggle-icon');
-    toggleIcon.textContent = this.isCollapsed ? '+' : '−';
+    const rect = this.scrollContainer.getBoundingClientRect();
+    const top = Math.max(0, rect.top);
+    const bottom = Math.min(window.innerHeight, rect.bottom);
+    return { top, bottom, height: Math.max(0, bottom - top) };
   }
   
-  setupDragFunctionality(dragHandle) {
-    let startX, startY, startPosX, startPosY;
+  // 元素在捲動內容中的位置（與 getScrollTop 同一座標）
+  getScrollOffset(element) {
+    return this.getLayoutRect(element).top - this.getViewportRect().top + this.getScrollTop();
+  }
+  
+  scrollToPosition(top, behavior = 'smooth') {
+    (this.scrollContainer || window).scrollTo({ top: Math.max(0, top), behavior });
+  }
+  
+  /**
+   * 估算捲動區域頂端被固定導覽列遮住的高度
+   * 在可見區域頂端取樣，找出 position 為 fixed / sticky 的元素
+   */
+  getStickyHeaderHeight() {
+    const viewport = this.getViewportRect();
+    const maxHeight = viewport.height * 0.4;
+    let covered = 0;
     
-    dragHandle.addEventListener('mousedown', (e) => {
-      this.isDragging = true;
-      startX = e.clientX;
-      startY = e.clientY;
-      startPosX = this.position.x;
-      startPosY = this.position.y;
-      
-      this.container.classList.add('smart-toc-dragging');
+    [0.25, 0.5, 0.75].forEach(ratio => {
+      const x = window.innerWidth * ratio;
+      const y = viewport.top + 1;
       
-      document.addEventListener('mousemove', handleMouseMove);
-      document.addEventListener('mouseup', handleMouseUp);
-      
-      e.preventDefault();
+      document.elementsFromPoint(x, y).forEach(element => {
+        for (let el = element; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+          if (el === this.host) return;
+          
+          const position = window.getComputedStyle(el).position;
+          if (position !== 'fixed' && position !== 'sticky') continue;
+          
+          const rect = el.getBoundingClientRect();
+          if (rect.top <= y && rect.height <= maxHeight) {
+            covered = Math.max(covered, rect.bottom - viewport.top);
+          }
+          return;
+        }
+      });
     });
     
-    const handleMouseMove = (e) => {
-      if (!this.isDragging) return;
-      
-      const deltaX = e.clientX - startX;
-      const deltaY = e.clientY - startY;
-      
-      const newX = Math.max(0, Math.min(window.innerWidth - this.container.offsetWidth, startPosX + deltaX));
-      const newY = Math.max(0, Math.min(window.innerHeight - this.container.offsetHeight, startPosY + deltaY));
-      
-      this.setPosition({ x: newX, y: newY });
-    };
+    return covered;
+  }
+  
+  // ===== 目前章節追蹤 =====
+  /**
+   * 以 IntersectionObserver 記錄畫面中可見的標題，捲動時只需量測這些標題
+   * 觀察範圍為固定導覽列下方的可見區域
+   */
+  setupIntersectionObserver() {
+    this.disconnectIntersectionObserver();
     
-    const handleMouseUp = () => {
-      this.isDragging = false;
-      this.container.classList.remove('smart-toc-dragging');
-      
-      document.removeEventListener('mousemove', handleMouseMove);
-      document.removeEventListener('mouseup', handleMouseUp);
+    const indexByElement = new Map(this.headings.map((heading, index) => [heading.element, index]));
+    
+    // iframe 內的標題不是滾動容器的子孫，改以視窗為觀察範圍
+    const sameDocument = this.headings.every(heading => heading.element.ownerDocument === document);
+    
+    this.intersectionObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const index = indexByElement.get(entry.target);
+        if (entry.isIntersecting) {
+          this.visibleHeadings.add(index);
+        } else {
+          this.visibleHeadings.delete(index);
+        }
+      });
       
-      // 儲存位置
-      this.savePosition();
-    };
+      this.updateActiveItemByScroll();
+    }, {
+      root: sameDocument ? this.scrollContainer : null,
+      rootMargin: `-${Math.round(this.stickyOffset)}px 0px 0px 0px`
+    });
+    
+    this.headings.forEach(heading => this.intersectionObserver.observe(heading.element));
   }
   
-  scrollToHeading(index) {
-    if (index < 0 || index >= this.headings.length) return;
+  disconnectIntersectionObserver() {
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    this.visibleHeadings.clear();
+  }
+  
+  /**
+   * 標題越過啟用線（固定導覽列下方可見區域的 activationLine%）即成為目前章節
+   */
+  updateActiveItemByScroll() {
+    if (!this.container || this.headings.length === 0) return;
     
-    const heading = this.headings[index];
-    const element = heading.element;
+    const viewport = this.getViewportRect();
+    const zoneTop = viewport.top + this.stickyOffset;
+    const line = zoneTop + (viewport.height - this.stickyOffset) * this.config.activationLine / 100;
+    const visible = [...this.visibleHeadings].sort((a, b) => a - b);
     
-    // 平滑滾動到目標
-    element.scrollIntoView({
-      behavior: 'smooth',
-      block: 'start'
-    });
+    let activeIndex;
+    let firstVisible;
     
-    // 更新高亮
-    this.updateActiveItem(index);
+    if (visible.length === 0) {
+      // 長章節中畫面內沒有標題
+      activeIndex = this.findSectionAt(line);
+      firstVisible = activeIndex;
+    } else {
+      const tops = visible.map(index => this.getLayoutRect(this.headings[index].element).top);
+      const passed = visible.filter((index, i) => tops[i] <= line);
+      
+      activeIndex = passed.length > 0 ? passed[passed.length - 1] : Math.max(0, visible[0] - 1);
+      // 第一個可見標題之上仍露出前一章節的結尾
+      firstVisible = tops[0] <= zoneTop ? visible[0] : Math.max(0, visible[0] - 1);
+    }
+    
+    if (activeIndex !== this.currentActiveIndex) {
+      this.updateActiveItem(activeIndex);
+    }
+    
+    this.updateVisibleSections(firstVisible, visible.length > 0 ? visible[visible.length - 1] : activeIndex);
   }
   
-  updateActiveItem(index) {
-    // 移除舊的高亮
+  // 二分搜尋最後一個位於 y 之上的標題（標題依文件順序排列）
+  findSectionAt(y) {
+    let low = 0;
+    let high = this.headings.length - 1;
+    let found = 0;
+    
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.getLayoutRect(this.headings[middle].element).top <= y) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    
+    return found;
+  }
+  
+  updateVisibleSections(first, last) {
+    const range = this.config.highlightVisible ? `${first}-${last}` : '';
+    if (range === this.visibleRange) return;
+    this.visibleRange = range;
+    
     this.container.querySelectorAll('.smart-toc-link').forEach(link => {
-      link.classList.remove('smart-toc-active');
+      const index = parseInt(link.dataset.index);
+      link.classList.toggle('smart-toc-visible', range !== '' && index >= first && index <= last);
     });
+  }
+  
+  // 讓目前章節保持在目錄列表的可見範圍內，使用者操作目錄時不移動
+  scrollListToItem(index) {
+    if (this.isCollapsed || this.isItemHidden(index) || this.container.matches(':hover')) return;
     
-    // 添加新的高亮
-    if (index >= 0 && index < this.headings.length) {
-      const activeLink = this.container.querySelector(`[data-index="${index}"]`);
-      if (activeLink) {
-        activeLink.classList.add('smart-toc-active');
-        this.currentActiveIndex = index;
-      }
+    const link = this.container.querySelector(`.smart-toc-link[data-index="${index}"]`);
+    const content = this.container.querySelector('.smart-toc-content');
+    const linkRect = link.getBoundingClientRect();
+    const contentRect = content.getBoundingClientRect();
+    const margin = linkRect.height;
+    
+    if (linkRect.top < contentRect.top + margin) {
+      content.scrollTop -= contentRect.top + margin - linkRect.top;
+    } else if (linkRect.bottom > contentRect.bottom - margin) {
+      content.scrollTop += linkRect.bottom - contentRect.bottom + margin;
     }
   }
   
@@ -457,40 +3598,22 @@ class SmartTOC {
   setupScrollListener() {
     let ticking = false;
     
-    const handleScroll = () => {
+    this.handleScroll = () => {
       if (!ticking) {
         requestAnimationFrame(() => {
           this.updateActiveItemByScroll();
+          this.updateReadingProgress();
+          this.handleReadingScroll();
           ticking = false;
         });
         ticking = true;
       }
     };
     
-    window.addEventListener('scroll', handleScroll, { passive: true });
-  }
-  
-  updateActiveItemByScroll() {
-    const scrollTop = window.pageYOffset;
-    const viewportHeight = window.innerHeight;
-    const threshold = viewportHeight * 0.3; // 30% of viewport
-    
-    let activeIndex = 0;
-    
-    for (let i = this.headings.length - 1; i >= 0; i--) {
-      const heading = this.headings[i];
-      const rect = heading.element.getBoundingClientRect();
-      const absoluteTop = scrollTop + rect.top;
-      
-      if (absoluteTop <= scrollTop + threshold) {
-        activeIndex = i;
-        break;
-      }
-    }
+    (this.scrollContainer || window).addEventListener('scroll', this.handleScroll, { passive: true });
     
-    if (activeIndex !== this.currentActiveIndex) {
-      this.updateActiveItem(activeIndex);
-    }
+    // 離開頁面時立即記錄閱讀位置
+    window.addEventListener('pagehide', () => this.saveReadingPosition());
   }
   
   // ===== 動態內容監聽 =====
@@ -498,8 +3621,27 @@ class SmartTOC {
     // 監聽 DOM 變更
     this.mutationObserver = new MutationObserver((mutations) => {
       let shouldUpdate = false;
+      const headingSelector = this.getHeadingSelector();
+      // 目錄使用推測標題時，內容區域中段落的增減與文字變動也可能影響目錄
+      const watchPseudo = this.headings.some(heading => heading.pseudo);
+      const contentRoot = watchPseudo ? this.getContentRoot() : null;
       
       mutations.forEach(mutation => {
+        if (this.updateScopeHosts(mutation)) {
+          shouldUpdate = true;
+        }
+        
+        // 直接加在 shadow root 下的節點沒有父元素，只需檢查新增與刪除的節點
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE
+          ? mutation.target
+          : mutation.target.parentElement;
+        
+        // 標題文字被修改（包含以 textContent 替換標題內容）
+        if (target && (target.closest(headingSelector) || (watchPseudo && this.isInPseudoHeading(target)))) {
+          shouldUpdate = true;
+          return;
+        }
+        
         if (mutation.type === 'childList') {
           // 檢查是否有新增或刪除的標題
           const addedNodes = Array.from(mutation.addedNodes);
@@ -507,8 +3649,15 @@ class SmartTOC {
           
           const hasHeadingChanges = [...addedNodes, ...removedNodes].some(node => {
             if (node.nodeType === Node.ELEMENT_NODE) {
-              return this.config.supportedHeadings.includes(node.tagName) ||
-                     node.querySelector && node.querySelector(this.config.supportedHeadings.map(h => h.toLowerCase()).join(','));
+              // 新增的 shadow 宿主或 iframe 內可能有標題，需重新尋找
+              return node.matches(headingSelector) ||
+                     Boolean(node.querySelector(headingSelector)) ||
+                     Boolean(node.shadowRoot) ||
+                     Boolean(node.querySelector('iframe, frame')) ||
+                     node.tagName === 'IFRAME' || node.tagName === 'FRAME' ||
+                     (watchPseudo && this.isInContentRoot(mutation.target, contentRoot) &&
+                       (node.matches(SmartTOC.PSEUDO_HEADING_CANDIDATES) ||
+                        Boolean(node.querySelector(SmartTOC.PSEUDO_HEADING_CANDIDATES))));
             }
             return false;
           });
@@ -521,20 +3670,23 @@ class SmartTOC {
       
       if (shouldUpdate) {
         this.debounce(() => {
-          console.log('檢測到內容變更，重新建立目錄');
-          this.buildTOC();
+          console.log('檢測到標題變更，更新目錄');
+          this.updateTOC();
         });
       }
     });
     
     this.mutationObserver.observe(document.body, {
       childList: true,
-      subtree: true
+      subtree: true,
+      characterData: true
     });
+    this.observeDeepScopes();
     
     // 監聽視窗大小變化
     this.resizeObserver = new ResizeObserver(() => {
       this.debounce(() => {
+        this.invalidateLayout();
         this.positionContainer();
       });
     });
@@ -544,13 +3696,23 @@ class SmartTOC {
   
   // ===== SPA 路由監聽 =====
   setupSPAListeners() {
-    let currentURL = window.location.href;
+    if (this.hasRouteListeners) return;
+    this.hasRouteListeners = true;
+    this.routeURL = window.location.href;
     
     // 監聽 popstate（瀏覽器按鈕）
     window.addEventListener('popstate', () => {
       this.handleRouteChange();
     });
     
+    // 只有錨點改變時不需重建目錄
+    window.addEventListener('hashchange', () => {
+      this.routeURL = window.location.href;
+      if (this.isStarted) {
+        this.scrollToLocationHash();
+      }
+    });
+    
     // 劫持 history API
     const originalPushState = history.pushState;
     const originalReplaceState = history.replaceState;
@@ -565,24 +3727,184 @@ class SmartTOC {
       this.handleRouteChange();
     };
     
-    // 定期檢查 URL 變化（備用方案）
-    setInterval(() => {
-      if (window.location.href !== currentURL) {
-        currentURL = window.location.href;
-        this.handleRouteChange();
-      }
-    }, 1000);
+    this.updateRoutePolling();
+  }
+  
+  // 定期檢查 URL 變化（備用方案）；頁面被停用時只靠 history API 與 popstate 偵測，不在每個分頁輪詢
+  updateRoutePolling() {
+    if (!this.hasRouteListeners) return;
+    
+    if (this.isAllowed && !this.routePollTimer) {
+      this.routePollTimer = setInterval(() => {
+        if (window.location.href !== this.routeURL) {
+          this.handleRouteChange();
+        }
+      }, 1000);
+    } else if (!this.isAllowed && this.routePollTimer) {
+      clearInterval(this.routePollTimer);
+      this.routePollTimer = null;
+    }
   }
   
   handleRouteChange() {
     console.log('檢測到路由變化，重新分析頁面');
+    this.routeURL = window.location.href;
     
     // 延遲一點時間讓新內容載入
-    setTimeout(() => {
-      this.buildTOC();
+    setTimeout(async () => {
+      // 路徑規則可能因路由不同而改變；尚未啟動時只在新網址允許後才啟動
+      const allowed = this.updateSitePolicy();
+      if (!this.isStarted && !allowed) return;
+      
+      this.resetContentRoot();
+      this.invalidateLayout();
+      await this.loadReadingPosition();
+      await this.loadBookmarks();
+      
+      if (this.isStarted) {
+        this.buildTOC();
+      } else {
+        this.startWhenReady();
+      }
     }, 300);
   }
   
+  // ===== 訊息處理 =====
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // 非同步回應時回傳 true 以保持訊息通道開啟
+      return this.handleMessage(message, sender, sendResponse);
+    });
+  }
+  
+  handleMessage(message, sender, sendResponse) {
+    switch (message.type) {
+      case 'GET_TOC_STATUS':
+        sendResponse(this.getStatus());
+        break;
+        
+      case 'REFRESH_TOC':
+        if (this.isStarted) {
+          this.resetContentRoot();
+          this.buildTOC();
+        }
+        sendResponse(this.getStatus());
+        break;
+        
+      case 'TOC_COMMAND':
+        this.handleCommand(message.command);
+        sendResponse({ success: true });
+        break;
+        
+      case 'RESET_POSITION':
+        this.resetPosition().then(() => sendResponse({ success: true }));
+        return true;
+        
+      case 'SETTINGS_UPDATED':
+        this.applySettings(message.settings);
+        sendResponse({ success: true });
+        break;
+        
+      case 'EXPORT_TOC':
+        if (!this.container) {
+          sendResponse({ success: false, error: '此頁面沒有目錄' });
+          break;
+        }
+        
+        try {
+          sendResponse({ success: true, ...this.exportTOC(message.format, message.options) });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      default:
+        // 其他訊息不屬於 content script，不回應
+        break;
+    }
+  }
+  
+  handleCommand(command) {
+    switch (command) {
+      case 'toggle-toc':
+        this.togglePanel();
+        break;
+        
+      case 'next-section':
+        this.scrollToHeading(Math.min(this.headings.length - 1, this.currentActiveIndex + 1));
+        break;
+        
+      case 'previous-section':
+        this.scrollToHeading(Math.max(0, this.currentActiveIndex - 1));
+        break;
+    }
+  }
+  
+  getStatus() {
+    return {
+      active: Boolean(this.container),
+      reason: this.analysis.reason,
+      stats: {
+        headingsCount: this.analysis.headingsCount,
+        pseudoHeadingsCount: this.analysis.pseudoHeadingsCount,
+        filteredHeadings: this.analysis.filteredHeadings,
+        textLength: this.analysis.textLength,
+        contentRoot: this.analysis.contentRoot,
+        contentScore: this.analysis.contentScore,
+        layoutTime: this.layoutStats ? this.layoutStats.duration : null,
+        obstaclesCount: this.layoutStats ? this.layoutStats.obstaclesCount : null
+      }
+    };
+  }
+  
+  applySettings(settings) {
+    if (!settings) return;
+    
+    const previousConfig = this.config;
+    this.settings = { ...this.settings, ...settings };
+    
+    // 重新評估網站規則，停用時立即移除目錄
+    const allowed = this.updateSitePolicy();
+    
+    if (!this.isStarted) {
+      if (allowed) {
+        this.resetContentRoot();
+        this.startWhenReady();
+      }
+      return;
+    }
+    
+    if (!allowed || !this.container) {
+      this.resetContentRoot();
+      this.buildTOC();
+      return;
+    }
+    
+    const changed = (key) => JSON.stringify(previousConfig[key]) !== JSON.stringify(this.config[key]);
+    
+    // 影響標題的設定以比對更新目錄，保留摺疊狀態、列表捲動位置與面板
+    if (SmartTOC.HEADING_SETTING_KEYS.some(changed)) {
+      this.resetContentRoot();
+      this.updateTOC();
+      if (!this.container) return;
+    }
+    
+    // 外觀設定直接套用到現有的面板
+    if (changed('theme')) {
+      this.applyTheme();
+    }
+    
+    if (changed('position')) {
+      this.positionContainer();
+    }
+    
+    if (changed('activationLine') || changed('highlightVisible')) {
+      // 強制重新標示可見章節（關閉時需清除原有標示）
+      this.visibleRange = null;
+      this.updateActiveItemByScroll();
+    }
+  }
+  
   // ===== 工具函數 =====
   createDebounce() {
     let timeoutId = null;
@@ -593,10 +3915,15 @@ class SmartTOC {
   }
   
   removeTOC() {
-    if (this.container) {
-      this.container.remove();
+    this.disconnectIntersectionObserver();
+    
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+      this.shadowRoot = null;
       this.container = null;
       this.tocList = null;
+      this.tocLinks = [];
     }
   }
   
@@ -604,19 +3931,70 @@ class SmartTOC {
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get(['smartTocSettings']);
-      if (result.smartTocSettings) {
-        Object.assign(this.config, result.smartTocSettings);
+      const local = await chrome.storage.local.get(['smartTocSiteRules']);
+      this.settings = result.smartTocSettings || {};
+      
+      // 網站規則可能超過 storage.sync 單一項目的上限，另存在 storage.local
+      if (Array.isArray(local.smartTocSiteRules)) {
+        this.settings.siteRules = local.smartTocSiteRules;
       }
     } catch (error) {
       console.log('無法載入設定，使用預設值');
     }
   }
   
+  // 位置以網站為單位存在 storage.local（數量不固定，避免佔用 sync 配額）
+  async loadSavedPosition() {
+    try {
+      const result = await chrome.storage.local.get(['smartTocPositions']);
+      const positions = result.smartTocPositions || {};
+      this.savedPosition = positions[window.location.hostname] || null;
+    } catch (error) {
+      console.log('無法載入位置');
+    }
+  }
+  
   async savePosition() {
+    if (!this.container) return;
+    
+    // 以最近的視窗邊緣為基準，視窗大小改變後仍維持相對位置
+    const width = this.container.offsetWidth;
+    const height = this.container.offsetHeight;
+    const { x, y } = this.position;
+    
+    this.savedPosition = {
+      horizontal: x + width / 2 <= window.innerWidth / 2
+        ? { edge: 'left', offset: x }
+        : { edge: 'right', offset: window.innerWidth - x - width },
+      vertical: y + height / 2 <= window.innerHeight / 2
+        ? { edge: 'top', offset: y }
+        : { edge: 'bottom', offset: window.innerHeight - y - height }
+    };
+    
+    await this.updateStoredPosition(this.savedPosition);
+  }
+  
+  async resetPosition() {
+    this.savedPosition = null;
+    await this.updateStoredPosition(null);
+    
+    if (this.container) {
+      this.positionContainer();
+    }
+  }
+  
+  async updateStoredPosition(position) {
     try {
-      await chrome.storage.sync.set({
-        smartTocPosition: this.position
-      });
+      const result = await chrome.storage.local.get(['smartTocPositions']);
+      const positions = result.smartTocPositions || {};
+      
+      if (position) {
+        positions[window.location.hostname] = position;
+      } else {
+        delete positions[window.location.hostname];
+      }
+      
+      await chrome.storage.local.set({ smartTocPositions: positions });
     } catch (error) {
       console.log('無法儲存位置');
     }
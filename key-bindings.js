@@ -0,0 +1,25 @@
+/**
+ * Smart TOC - 目錄內按鍵設定
+ * 由 background、content script 與 popup 共用，預設按鍵只在此定義
+ */
+
+class SmartTOCKeyBindings {
+  // 目錄內鍵盤操作的預設按鍵（KeyboardEvent.key）
+  static get DEFAULTS() {
+    return {
+      next: 'ArrowDown',
+      previous: 'ArrowUp',
+      activate: 'Enter',
+      fold: 'ArrowLeft',
+      unfold: 'ArrowRight',
+      collapse: 'Escape',
+      bookmark: 'b',
+      note: 'n'
+    };
+  }
+  
+  // 錄製按鍵時單獨按下的修飾鍵不算一個按鍵
+  static get MODIFIER_KEYS() {
+    return ['Shift', 'Control', 'Alt', 'Meta'];
+  }
+}
@@ -4,6 +4,11 @@
  */
 
 class SmartTOCPopup {
+  // 與 content script 的 SmartTOC.READING_HISTORY_MAX_AGE 一致
+  static get READING_HISTORY_MAX_AGE() {
+    return 30 * 24 * 60 * 60 * 1000;
+  }
+  
   constructor() {
     this.settings = {};
     this.currentTab = null;
@@ -59,6 +64,17 @@ class SmartTOCPopup {
     
     // 設置表單值
     this.updateFormValues();
+    
+    // 網站規則
+    this.updateSiteRuleForm(this.findSiteRule(this.getCurrentHostname()));
+    this.renderSiteRules();
+    
+    // 全域快捷鍵
+    this.renderShortcuts();
+    
+    // 書籤與最近閱讀
+    this.renderBookmarks();
+    this.renderRecentReading();
   }
   
   updateFormValues() {
@@ -74,6 +90,11 @@ class SmartTOCPopup {
     const minTextLength = document.getElementById('min-text-length');
     minTextLength.value = this.settings.minTextLength || 1000;
     
+    // 標題層級範圍
+    const levels = this.getHeadingRange(this.settings.supportedHeadings);
+    document.getElementById('min-heading-level').value = levels.min;
+    document.getElementById('max-heading-level').value = levels.max;
+    
     // 主題選擇
     const themeSelect = document.getElementById('theme-select');
     themeSelect.value = this.settings.theme || 'auto';
@@ -81,6 +102,30 @@ class SmartTOCPopup {
     // 位置選擇
     const positionSelect = document.getElementById('position-select');
     positionSelect.value = this.settings.position || 'smart';
+    
+    // 目前章節追蹤
+    document.getElementById('activation-line').value = this.settings.activationLine ?? 30;
+    document.getElementById('highlight-visible-toggle').checked = this.settings.highlightVisible === true;
+    
+    // 自動摺疊
+    document.getElementById('auto-collapse-toggle').checked = this.settings.autoCollapse === true;
+    
+    // 章節錨點
+    document.getElementById('assign-ids-toggle').checked = this.settings.assignHeadingIds === true;
+    
+    // 推測標題
+    document.getElementById('prefer-real-headings-toggle').checked = this.settings.preferRealHeadings !== false;
+    
+    // 標題過濾
+    document.getElementById('filter-boilerplate-toggle').checked = this.settings.filterBoilerplate !== false;
+    
+    // 鍵盤操作
+    document.getElementById('keyboard-toggle').checked = this.settings.keyboardNavigation !== false;
+    
+    const bindings = this.getKeyBindings();
+    document.querySelectorAll('.key-input').forEach(input => {
+      input.value = this.formatKey(bindings[input.dataset.action]);
+    });
   }
   
   setupEventListeners() {
@@ -94,6 +139,20 @@ class SmartTOCPopup {
       this.refreshTOC();
     });
     
+    // 重設位置按鈕
+    document.getElementById('reset-position-btn').addEventListener('click', () => {
+      this.resetPosition();
+    });
+    
+    // 匯出目錄
+    document.getElementById('export-copy-btn').addEventListener('click', () => {
+      this.exportTOC('copy');
+    });
+    
+    document.getElementById('export-download-btn').addEventListener('click', () => {
+      this.exportTOC('download');
+    });
+    
     // 設定變更
     document.getElementById('min-headings').addEventListener('change', (e) => {
       this.updateSetting('minHeadings', parseInt(e.target.value));
@@ -103,6 +162,12 @@ class SmartTOCPopup {
       this.updateSetting('minTextLength', parseInt(e.target.value));
     });
     
+    ['min-heading-level', 'max-heading-level'].forEach(id => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        this.updateSetting('supportedHeadings', this.collectHeadingRange(e.target.id));
+      });
+    });
+    
     document.getElementById('theme-select').addEventListener('change', (e) => {
       this.updateSetting('theme', e.target.value);
     });
@@ -111,6 +176,105 @@ class SmartTOCPopup {
       this.updateSetting('position', e.target.value);
     });
     
+    document.getElementById('activation-line').addEventListener('change', (e) => {
+      this.updateSetting('activationLine', Math.min(100, Math.max(0, parseInt(e.target.value) || 0)));
+    });
+    
+    document.getElementById('highlight-visible-toggle').addEventListener('change', (e) => {
+      this.updateSetting('highlightVisible', e.target.checked);
+    });
+    
+    document.getElementById('auto-collapse-toggle').addEventListener('change', (e) => {
+      this.updateSetting('autoCollapse', e.target.checked);
+    });
+    
+    document.getElementById('assign-ids-toggle').addEventListener('change', (e) => {
+      this.updateSetting('assignHeadingIds', e.target.checked);
+    });
+    
+    document.getElementById('prefer-real-headings-toggle').addEventListener('change', (e) => {
+      this.updateSetting('preferRealHeadings', e.target.checked);
+    });
+    
+    document.getElementById('filter-boilerplate-toggle').addEventListener('change', (e) => {
+      this.updateSetting('filterBoilerplate', e.target.checked);
+    });
+    
+    // 網站規則
+    document.getElementById('site-save-btn').addEventListener('click', () => {
+      this.saveSiteRule();
+    });
+    
+    document.getElementById('site-delete-btn').addEventListener('click', () => {
+      this.deleteSiteRule(document.getElementById('site-pattern').value);
+    });
+    
+    document.getElementById('site-rule-list').addEventListener('click', (e) => {
+      const button = e.target.closest('.rule-btn');
+      if (!button) return;
+      
+      const pattern = button.dataset.pattern;
+      if (button.dataset.action === 'edit') {
+        this.updateSiteRuleForm(this.findSiteRule(pattern));
+      } else if (button.dataset.action === 'delete') {
+        this.deleteSiteRule(pattern);
+      }
+    });
+    
+    // 鍵盤操作
+    document.getElementById('keyboard-toggle').addEventListener('change', (e) => {
+      this.updateSetting('keyboardNavigation', e.target.checked);
+    });
+    
+    document.querySelectorAll('.key-input').forEach(input => {
+      input.addEventListener('focus', () => {
+        input.classList.add('recording');
+        input.value = '請按下按鍵';
+      });
+      
+      input.addEventListener('blur', () => {
+        input.classList.remove('recording');
+        input.value = this.formatKey(this.getKeyBindings()[input.dataset.action]);
+      });
+      
+      input.addEventListener('keydown', (e) => {
+        // 保留 Tab 用於切換焦點；只按下修飾鍵時繼續等待
+        if (e.key === 'Tab' || SmartTOCKeyBindings.MODIFIER_KEYS.includes(e.key)) return;
+        
+        e.preventDefault();
+        this.updateKeyBinding(input.dataset.action, e.key);
+        input.blur();
+      });
+    });
+    
+    document.getElementById('shortcuts-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    
+    // 書籤
+    document.getElementById('bookmark-list').addEventListener('click', (e) => {
+      const button = e.target.closest('.rule-btn');
+      if (button) {
+        this.deleteBookmark(button.dataset.page, button.dataset.fingerprint);
+        return;
+      }
+      
+      const link = e.target.closest('a');
+      if (!link) return;
+      
+      e.preventDefault();
+      chrome.tabs.create({ url: link.href });
+    });
+    
+    // 最近閱讀
+    document.getElementById('recent-list').addEventListener('click', (e) => {
+      const link = e.target.closest('.recent-title');
+      if (!link) return;
+      
+      e.preventDefault();
+      chrome.tabs.create({ url: link.href });
+    });
+    
     // 底部按鈕
     document.getElementById('reset-btn').addEventListener('click', () => {
       this.resetSettings();
@@ -195,6 +359,9 @@ class SmartTOCPopup {
         if (response && response.reason) {
           statusElement.title = response.reason;
         }
+        
+        // 未啟用時仍顯示統計，方便判斷原因
+        this.updateStats(response && response.stats);
       }
       
     } catch (error) {
@@ -209,44 +376,460 @@ class SmartTOCPopup {
   updateStats(stats) {
     const headingsCount = document.getElementById('headings-count');
     const textLength = document.getElementById('text-length');
+    const contentRoot = document.getElementById('content-root');
+    const layoutTime = document.getElementById('layout-time');
+    const pseudoHeadings = document.getElementById('pseudo-headings');
+    const filteredHeadings = document.getElementById('filtered-headings');
     
     if (stats) {
       headingsCount.textContent = stats.headingsCount || '-';
       
+      // 依字體與粗細推測出的標題（頁面沒有足夠的 H 標籤時）
+      pseudoHeadings.textContent = stats.pseudoHeadingsCount ? `${stats.pseudoHeadingsCount} 個` : '無';
+      
+      // 被過濾規則排除的標題，依原因列出
+      filteredHeadings.textContent = this.formatFilteredHeadings(stats.filteredHeadings);
+      filteredHeadings.title = filteredHeadings.textContent;
+      
       const length = stats.textLength || 0;
       if (length > 1000) {
         textLength.textContent = `${(length / 1000).toFixed(1)}k`;
       } else {
         textLength.textContent = length.toString();
       }
+      
+      // 偵測到的主要內容區域與分數（除錯用）
+      if (stats.contentRoot) {
+        const score = stats.contentScore !== null && stats.contentScore !== undefined
+          ? `（${stats.contentScore} 分）`
+          : '';
+        contentRoot.textContent = `${stats.contentRoot}${score}`;
+        contentRoot.title = contentRoot.textContent;
+      } else {
+        contentRoot.textContent = '-';
+      }
+      
+      // 目錄定位時的版面分析耗時
+      layoutTime.textContent = typeof stats.layoutTime === 'number'
+        ? `${stats.layoutTime} ms · ${stats.obstaclesCount} 個固定元素`
+        : '-';
     } else {
       headingsCount.textContent = '-';
       textLength.textContent = '-';
+      contentRoot.textContent = '-';
+      layoutTime.textContent = '-';
+      pseudoHeadings.textContent = '-';
+      filteredHeadings.textContent = '-';
+    }
+  }
+  
+  // 由標題清單取得層級範圍，未設定時為預設的 H1–H4
+  getHeadingRange(headings) {
+    const levels = (headings || ['H1', 'H4'])
+      .map(tag => parseInt(String(tag).slice(1)))
+      .filter(level => level >= 1 && level <= 6);
+      
+    if (levels.length === 0) {
+      return { min: 'H1', max: 'H4' };
+    }
+    return { min: `H${Math.min(...levels)}`, max: `H${Math.max(...levels)}` };
+  }
+  
+  /**
+   * 將層級範圍轉為標題清單，範圍顛倒時調整另一端
+   * @param {string} [changedId] - 剛變更的選單，另一端配合它調整
+   */
+  collectHeadingRange(changedId) {
+    const minSelect = document.getElementById('min-heading-level');
+    const maxSelect = document.getElementById('max-heading-level');
+    let min = parseInt(minSelect.value.slice(1));
+    let max = parseInt(maxSelect.value.slice(1));
+    
+    if (min > max) {
+      if (changedId === 'max-heading-level') {
+        min = max;
+        minSelect.value = `H${min}`;
+      } else {
+        max = min;
+        maxSelect.value = `H${max}`;
+      }
+    }
+    
+    const headings = [];
+    for (let level = min; level <= max; level++) {
+      headings.push(`H${level}`);
     }
+    return headings;
   }
   
+  formatFilteredHeadings(filtered) {
+    const labels = {
+      duplicate: '重複',
+      region: '側欄與頁尾',
+      boilerplate: '分享與留言',
+      siteName: '網站名稱',
+      blocked: '已封鎖'
+    };
+    const parts = Object.entries(filtered || {})
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${labels[reason] || reason} ${count}`);
+      
+    return parts.length > 0 ? parts.join(' · ') : '無';
+  }
+  
+  /**
+   * 儲存單一設定，失敗時還原並顯示錯誤
+   * @returns {Promise<boolean>} 是否儲存成功
+   */
   async updateSetting(key, value) {
+    const previous = this.settings[key];
     this.settings[key] = value;
     
     try {
-      await chrome.runtime.sendMessage({
-        type: 'UPDATE_SETTINGS',
-        settings: { [key]: value }
+      // background 儲存後會通知所有標籤頁（包含目前的頁面）
+      await this.requestSettingsUpdate({ [key]: value });
+      return true;
+    } catch (error) {
+      this.settings[key] = previous;
+      console.error('更新設定失敗:', error);
+      this.showNotification(`設定更新失敗: ${error.message}`, 'error');
+      return false;
+    }
+  }
+  
+  // background 無法寫入 storage（例如超過配額）時回傳 { success: false }
+  async requestSettingsUpdate(settings) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      settings: settings
+    });
+    
+    if (response && response.success === false) {
+      throw new Error(response.error || '無法儲存設定');
+    }
+  }
+  
+  // ===== 網站規則 =====
+  getCurrentHostname() {
+    try {
+      return new URL(this.currentTab.url).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+  
+  getSiteRules() {
+    return Array.isArray(this.settings.siteRules) ? this.settings.siteRules : [];
+  }
+  
+  normalizePattern(pattern) {
+    return (pattern || '').trim().toLowerCase();
+  }
+  
+  findSiteRule(pattern) {
+    const normalized = this.normalizePattern(pattern);
+    return this.getSiteRules().find(rule => rule.pattern === normalized) || null;
+  }
+  
+  updateSiteRuleForm(rule) {
+    const overrides = (rule && rule.overrides) || {};
+    
+    document.getElementById('site-pattern').value = rule ? rule.pattern : this.getCurrentHostname();
+    document.getElementById('site-mode').value = (rule && rule.action) || 'default';
+    document.getElementById('site-min-headings').value = overrides.minHeadings ?? '';
+    document.getElementById('site-min-text-length').value = overrides.minTextLength ?? '';
+    document.getElementById('site-position').value = overrides.position || '';
+    
+    const headings = overrides.supportedHeadings || [];
+    document.querySelectorAll('#site-headings input').forEach(input => {
+      input.checked = headings.includes(input.value);
+    });
+    
+    // 選擇器設定檔
+    const profile = overrides.profile || {};
+    document.getElementById('site-content-root').value = profile.contentRoot || '';
+    document.getElementById('site-heading-selectors').value = (profile.headingSelectors || [])
+      .map(item => (item.level ? `${item.selector} = ${item.level}` : item.selector))
+      .join('\n');
+    document.getElementById('site-exclude-selectors').value = (profile.excludeSelectors || []).join('\n');
+    document.getElementById('site-heading-blocklist').value = (overrides.headingBlocklist || []).join('\n');
+  }
+  
+  /**
+   * 解析標題選擇器，每行格式為「選擇器 = 層級」，省略層級時由 aria-level 或標籤決定
+   */
+  parseHeadingSelectors(text) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(line => line)
+      .map(line => {
+        const match = /^(.*?)\s*=\s*([1-6])$/.exec(line);
+        return match
+          ? { selector: match[1], level: parseInt(match[2]) }
+          : { selector: line, level: null };
+      })
+      .filter(item => item.selector);
+  }
+  
+  findInvalidSelector(profile) {
+    if (!profile) return null;
+    
+    const selectors = [
+      profile.contentRoot,
+      ...profile.headingSelectors.map(item => item.selector),
+      ...profile.excludeSelectors
+    ].filter(selector => selector);
+    
+    return selectors.find(selector => this.isInvalidSelector(selector)) || null;
+  }
+  
+  // 封鎖清單中以 css: 開頭的選擇器
+  findInvalidBlocklistSelector(blocklist) {
+    return (blocklist || [])
+      .map(line => /^css:\s*(.+)$/i.exec(line))
+      .filter(match => match)
+      .map(match => match[1])
+      .find(selector => this.isInvalidSelector(selector)) || null;
+  }
+  
+  isInvalidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+  
+  collectProfileForm() {
+    const contentRoot = document.getElementById('site-content-root').value.trim();
+    const headingSelectors = this.parseHeadingSelectors(document.getElementById('site-heading-selectors').value);
+    const excludeSelectors = document.getElementById('site-exclude-selectors').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+    
+    if (!contentRoot && headingSelectors.length === 0 && excludeSelectors.length === 0) {
+      return null;
+    }
+    
+    return { contentRoot, headingSelectors, excludeSelectors };
+  }
+  
+  collectSiteRuleForm() {
+    const overrides = {};
+    
+    const minHeadings = parseInt(document.getElementById('site-min-headings').value);
+    if (!isNaN(minHeadings)) {
+      overrides.minHeadings = minHeadings;
+    }
+    
+    const minTextLength = parseInt(document.getElementById('site-min-text-length').value);
+    if (!isNaN(minTextLength)) {
+      overrides.minTextLength = minTextLength;
+    }
+    
+    const headings = Array.from(document.querySelectorAll('#site-headings input:checked'))
+      .map(input => input.value);
+    if (headings.length > 0) {
+      overrides.supportedHeadings = headings;
+    }
+    
+    const position = document.getElementById('site-position').value;
+    if (position) {
+      overrides.position = position;
+    }
+    
+    const profile = this.collectProfileForm();
+    if (profile) {
+      overrides.profile = profile;
+    }
+    
+    const blocklist = document.getElementById('site-heading-blocklist').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line);
+    if (blocklist.length > 0) {
+      overrides.headingBlocklist = blocklist;
+    }
+    
+    return {
+      pattern: this.normalizePattern(document.getElementById('site-pattern').value),
+      action: document.getElementById('site-mode').value,
+      overrides: overrides
+    };
+  }
+  
+  async saveSiteRule() {
+    const rule = this.collectSiteRuleForm();
+    
+    if (!rule.pattern) {
+      this.showNotification('請輸入網址規則', 'warning');
+      return;
+    }
+    
+    const invalidSelector = this.findInvalidSelector(rule.overrides.profile) ||
+      this.findInvalidBlocklistSelector(rule.overrides.headingBlocklist);
+    if (invalidSelector) {
+      this.showNotification(`無效的選擇器: ${invalidSelector}`, 'error');
+      return;
+    }
+    
+    const rules = this.getSiteRules().filter(item => item.pattern !== rule.pattern);
+    rules.push(rule);
+    
+    if (!await this.updateSetting('siteRules', rules)) return;
+    this.renderSiteRules();
+    this.showNotification('網站規則已儲存', 'success');
+  }
+  
+  async deleteSiteRule(pattern) {
+    const normalized = this.normalizePattern(pattern);
+    if (!this.findSiteRule(normalized)) {
+      this.showNotification('找不到此網站規則', 'warning');
+      return;
+    }
+    
+    const rules = this.getSiteRules().filter(rule => rule.pattern !== normalized);
+    
+    if (!await this.updateSetting('siteRules', rules)) return;
+    this.updateSiteRuleForm(this.findSiteRule(this.getCurrentHostname()));
+    this.renderSiteRules();
+    this.showNotification('網站規則已刪除', 'success');
+  }
+  
+  getSiteRuleSummary(rule) {
+    const actionLabels = {
+      allow: '一律啟用',
+      deny: '一律停用',
+      default: '依全域設定'
+    };
+    const positionLabels = {
+      smart: '智能定位',
+      right: '右側固定',
+      left: '左側固定'
+    };
+    
+    const overrides = rule.overrides || {};
+    const parts = [actionLabels[rule.action] || actionLabels.default];
+    
+    if (overrides.minHeadings !== undefined) {
+      parts.push(`標題 ≥ ${overrides.minHeadings}`);
+    }
+    if (overrides.minTextLength !== undefined) {
+      parts.push(`文字 ≥ ${overrides.minTextLength}`);
+    }
+    if (overrides.supportedHeadings) {
+      parts.push(overrides.supportedHeadings.join('/'));
+    }
+    if (overrides.position) {
+      parts.push(positionLabels[overrides.position] || overrides.position);
+    }
+    if (overrides.profile) {
+      parts.push('自訂選擇器');
+    }
+    if (overrides.headingBlocklist) {
+      parts.push(`封鎖 ${overrides.headingBlocklist.length} 個標題`);
+    }
+    
+    return parts.join('・');
+  }
+  
+  renderSiteRules() {
+    const list = document.getElementById('site-rule-list');
+    const empty = document.getElementById('site-rule-empty');
+    const rules = this.getSiteRules();
+    
+    list.innerHTML = '';
+    empty.style.display = rules.length > 0 ? 'none' : 'block';
+    
+    rules.forEach(rule => {
+      const item = document.createElement('li');
+      item.className = 'rule-item';
+      
+      const info = document.createElement('div');
+      info.className = 'rule-info';
+      
+      const pattern = document.createElement('span');
+      pattern.className = 'rule-pattern';
+      pattern.textContent = rule.pattern;
+      pattern.title = rule.pattern;
+      
+      const summary = document.createElement('span');
+      summary.className = 'rule-summary';
+      summary.textContent = this.getSiteRuleSummary(rule);
+      
+      info.appendChild(pattern);
+      info.appendChild(summary);
+      item.appendChild(info);
+      
+      [['edit', '編輯'], ['delete', '刪除']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.className = 'rule-btn';
+        button.dataset.action = action;
+        button.dataset.pattern = rule.pattern;
+        button.textContent = label;
+        item.appendChild(button);
       });
       
-      // 立即更新相關的 content script
-      if (this.currentTab && this.currentTab.id) {
-        chrome.tabs.sendMessage(this.currentTab.id, {
-          type: 'SETTINGS_UPDATED',
-          settings: this.settings
-        }).catch(() => {
-          // 忽略錯誤
-        });
-      }
+      list.appendChild(item);
+    });
+  }
+  
+  // ===== 鍵盤操作 =====
+  getKeyBindings() {
+    return { ...SmartTOCKeyBindings.DEFAULTS, ...(this.settings.keyBindings || {}) };
+  }
+  
+  formatKey(key) {
+    const labels = {
+      ArrowUp: '↑',
+      ArrowDown: '↓',
+      ArrowLeft: '←',
+      ArrowRight: '→',
+      ' ': 'Space'
+    };
+    return labels[key] || key || '';
+  }
+  
+  async updateKeyBinding(action, key) {
+    const bindings = this.getKeyBindings();
+    
+    // 同一個按鍵只能對應一個動作
+    const conflict = Object.keys(bindings).find(name => name !== action && bindings[name] === key);
+    if (conflict) {
+      this.showNotification(`按鍵 ${this.formatKey(key)} 已被使用`, 'warning');
+      return;
+    }
+    
+    bindings[action] = key;
+    await this.updateSetting('keyBindings', bindings);
+  }
+  
+  async renderShortcuts() {
+    const list = document.getElementById('shortcut-list');
+    list.innerHTML = '';
+    
+    try {
+      const commands = await chrome.commands.getAll();
       
+      commands.filter(command => command.description).forEach(command => {
+        const item = document.createElement('li');
+        item.className = 'shortcut-item';
+        
+        const label = document.createElement('span');
+        label.textContent = command.description;
+        
+        const key = document.createElement('span');
+        key.className = 'shortcut-key';
+        key.textContent = command.shortcut || '未設定';
+        
+        item.appendChild(label);
+        item.appendChild(key);
+        list.appendChild(item);
+      });
     } catch (error) {
-      console.error('更新設定失敗:', error);
-      this.showNotification('設定更新失敗', 'error');
+      console.error('無法取得快捷鍵:', error);
     }
   }
   
@@ -277,6 +860,67 @@ class SmartTOCPopup {
     }
   }
   
+  async resetPosition() {
+    if (!this.currentTab || !this.currentTab.id) {
+      this.showNotification('無法重設位置', 'error');
+      return;
+    }
+    
+    try {
+      await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: 'RESET_POSITION'
+      });
+    } catch (error) {
+      // content script 未載入時直接清除儲存的位置
+      const hostname = this.getCurrentHostname();
+      const result = await chrome.storage.local.get(['smartTocPositions']);
+      const positions = result.smartTocPositions || {};
+      delete positions[hostname];
+      await chrome.storage.local.set({ smartTocPositions: positions });
+    }
+    
+    this.showNotification('目錄位置已重設', 'success');
+  }
+  
+  async exportTOC(action) {
+    if (!this.currentTab || !this.currentTab.id) {
+      this.showNotification('無法匯出目錄', 'error');
+      return;
+    }
+    
+    try {
+      const response = await chrome.tabs.sendMessage(this.currentTab.id, {
+        type: 'EXPORT_TOC',
+        format: document.getElementById('export-format').value,
+        options: {
+          includeWordCounts: document.getElementById('export-word-counts').checked
+        }
+      });
+      
+      if (!response || !response.success) {
+        this.showNotification((response && response.error) || '此頁面沒有目錄', 'error');
+        return;
+      }
+      
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(response.content);
+        this.showNotification('目錄已複製到剪貼簿', 'success');
+      } else {
+        const url = URL.createObjectURL(new Blob([response.content], { type: `${response.mimeType};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.showNotification('目錄已下載', 'success');
+      }
+      
+    } catch (error) {
+      this.showNotification('匯出失敗', 'error');
+      console.error('匯出目錄失敗:', error);
+    }
+  }
+  
   async resetSettings() {
     if (!confirm('確定要重置所有設定嗎？')) {
       return;
@@ -290,13 +934,19 @@ class SmartTOCPopup {
         minHeadings: 3,
         minTextLength: 1000,
         theme: 'auto',
-        position: 'smart'
+        position: 'smart',
+        supportedHeadings: ['H1', 'H2', 'H3', 'H4'],
+        autoCollapse: false,
+        assignHeadingIds: false,
+        preferRealHeadings: true,
+        filterBoilerplate: true,
+        activationLine: 30,
+        highlightVisible: false,
+        keyboardNavigation: true,
+        keyBindings: SmartTOCKeyBindings.DEFAULTS
       };
       
-      await chrome.runtime.sendMessage({
-        type: 'UPDATE_SETTINGS',
-        settings: defaultSettings
-      });
+      await this.requestSettingsUpdate(defaultSettings);
       
       this.settings = { ...this.settings, ...defaultSettings };
       this.updateFormValues();
@@ -306,7 +956,7 @@ class SmartTOCPopup {
       
     } catch (error) {
       this.hideLoading();
-      this.showNotification('重置失敗', 'error');
+      this.showNotification(`重置失敗: ${error.message}`, 'error');
       console.error('重置設定失敗:', error);
     }
   }
@@ -321,13 +971,17 @@ class SmartTOCPopup {
         minHeadings: parseInt(document.getElementById('min-headings').value),
         minTextLength: parseInt(document.getElementById('min-text-length').value),
         theme: document.getElementById('theme-select').value,
-        position: document.getElementById('position-select').value
+        position: document.getElementById('position-select').value,
+        supportedHeadings: this.collectHeadingRange(),
+        autoCollapse: document.getElementById('auto-collapse-toggle').checked,
+        assignHeadingIds: document.getElementById('assign-ids-toggle').checked,
+        preferRealHeadings: document.getElementById('prefer-real-headings-toggle').checked,
+        filterBoilerplate: document.getElementById('filter-boilerplate-toggle').checked,
+        activationLine: Math.min(100, Math.max(0, parseInt(document.getElementById('activation-line').value) || 0)),
+        highlightVisible: document.getElementById('highlight-visible-toggle').checked
       };
       
-      await chrome.runtime.sendMessage({
-        type: 'UPDATE_SETTINGS',
-        settings: formSettings
-      });
+      await this.requestSettingsUpdate(formSettings);
       
       this.settings = { ...this.settings, ...formSettings };
       
@@ -336,11 +990,165 @@ class SmartTOCPopup {
       
     } catch (error) {
       this.hideLoading();
-      this.showNotification('儲存失敗', 'error');
+      this.showNotification(`儲存失敗: ${error.message}`, 'error');
       console.error('儲存設定失敗:', error);
     }
   }
   
+  // ===== 書籤 =====
+  async getBookmarkPages() {
+    try {
+      const result = await chrome.storage.local.get(['smartTocBookmarks']);
+      return result.smartTocBookmarks || {};
+    } catch (error) {
+      console.error('無法載入書籤:', error);
+      return {};
+    }
+  }
+  
+  async renderBookmarks() {
+    const list = document.getElementById('bookmark-list');
+    const empty = document.getElementById('bookmark-empty');
+    const pages = Object.entries(await this.getBookmarkPages())
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+      
+    list.innerHTML = '';
+    empty.style.display = pages.length > 0 ? 'none' : 'block';
+    
+    pages.forEach(([key, page]) => {
+      const pageItem = document.createElement('li');
+      pageItem.className = 'bookmark-page';
+      
+      const title = document.createElement('a');
+      title.className = 'bookmark-page-title';
+      title.href = page.url;
+      title.textContent = page.title || page.url;
+      title.title = page.url;
+      pageItem.appendChild(title);
+      
+      const items = document.createElement('ul');
+      items.className = 'bookmark-items';
+      
+      Object.entries(page.items || {}).forEach(([fingerprint, bookmark]) => {
+        const item = document.createElement('li');
+        item.className = 'bookmark-item';
+        
+        const info = document.createElement('div');
+        info.className = 'rule-info';
+        
+        const heading = document.createElement('a');
+        heading.className = 'bookmark-heading';
+        heading.href = bookmark.anchor ? `${page.url}#${encodeURIComponent(bookmark.anchor)}` : page.url;
+        heading.textContent = `★ ${bookmark.text}`;
+        info.appendChild(heading);
+        
+        if (bookmark.note) {
+          const note = document.createElement('span');
+          note.className = 'bookmark-note';
+          note.textContent = bookmark.note;
+          info.appendChild(note);
+        }
+        
+        const button = document.createElement('button');
+        button.className = 'rule-btn';
+        button.dataset.page = key;
+        button.dataset.fingerprint = fingerprint;
+        button.textContent = '刪除';
+        
+        item.appendChild(info);
+        item.appendChild(button);
+        items.appendChild(item);
+      });
+      
+      pageItem.appendChild(items);
+      list.appendChild(pageItem);
+    });
+  }
+  
+  async deleteBookmark(pageKey, fingerprint) {
+    try {
+      const pages = await this.getBookmarkPages();
+      const page = pages[pageKey];
+      if (!page) return;
+      
+      delete page.items[fingerprint];
+      if (Object.keys(page.items).length === 0) {
+        delete pages[pageKey];
+      }
+      
+      await chrome.storage.local.set({ smartTocBookmarks: pages });
+      this.renderBookmarks();
+      this.showNotification('書籤已刪除', 'success');
+      
+    } catch (error) {
+      this.showNotification('刪除失敗', 'error');
+      console.error('刪除書籤失敗:', error);
+    }
+  }
+  
+  // ===== 最近閱讀 =====
+  async renderRecentReading() {
+    const list = document.getElementById('recent-list');
+    const empty = document.getElementById('recent-empty');
+    
+    let entries = [];
+    try {
+      const result = await chrome.storage.local.get(['smartTocReading']);
+      const now = Date.now();
+      entries = Object.values(result.smartTocReading || {})
+        .filter(entry => entry && now - entry.updatedAt < SmartTOCPopup.READING_HISTORY_MAX_AGE)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, 5);
+    } catch (error) {
+      console.error('無法載入閱讀紀錄:', error);
+    }
+    
+    list.innerHTML = '';
+    empty.style.display = entries.length > 0 ? 'none' : 'block';
+    
+    entries.forEach(entry => {
+      const percent = Math.round((entry.progress || 0) * 100);
+      
+      const item = document.createElement('li');
+      item.className = 'recent-item';
+      
+      const title = document.createElement('a');
+      title.className = 'recent-title';
+      title.href = entry.url;
+      title.textContent = entry.title || entry.url;
+      title.title = entry.url;
+      
+      const summary = document.createElement('span');
+      summary.className = 'recent-summary';
+      summary.textContent = percent >= 100
+        ? `已讀完・${this.formatTimeAgo(entry.updatedAt)}`
+        : `讀到「${entry.headingText}」・${percent}%・${this.formatTimeAgo(entry.updatedAt)}`;
+        
+      const progress = document.createElement('div');
+      progress.className = 'recent-progress';
+      const bar = document.createElement('div');
+      bar.className = 'recent-progress-bar';
+      bar.style.width = `${percent}%`;
+      progress.appendChild(bar);
+      
+      item.appendChild(title);
+      item.appendChild(summary);
+      item.appendChild(progress);
+      list.appendChild(item);
+    });
+  }
+  
+  formatTimeAgo(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return '剛剛';
+    if (minutes < 60) return `${minutes} 分鐘前`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} 小時前`;
+    
+    return `${Math.floor(hours / 24)} 天前`;
+  }
+  
   openHelp() {
     chrome.tabs.create({
       url: 'https://github.com/your-username/smart-toc/blob/main/README.md'
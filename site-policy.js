@@ -0,0 +1,204 @@
+/**
+ * Smart TOC - 網站規則引擎
+ * 由 background 與 content script 共用，判斷目前網址是否啟用目錄
+ *
+ * 規則格式：
+ *   siteRules:     [{ pattern: 'example.com/docs/*', action: 'allow' | 'deny' | 'default', overrides: {} }]
+ *   excludedSites: ['chrome://*', ...]  完整網址萬用字元（舊格式）
+ *
+ * pattern 為「主機[路徑]」萬用字元：
+ *   - 主機中的 * 只匹配單一層級以內的字元，'*.example.com' 同時匹配 example.com 本身
+ *   - 路徑中的 * 匹配任意字元；省略路徑時匹配該主機的所有頁面
+ *   - 所有匹配皆為完整匹配（錨定開頭與結尾），. 等符號視為一般字元
+ */
+
+class SmartTOCSitePolicy {
+  // 內建排除：管理後台、登入頁面等不適合顯示目錄的路徑
+  static get BUILTIN_DENIED_PATHS() {
+    return [
+      '*/admin',
+      '*/admin/*',
+      '*/wp-admin',
+      '*/wp-admin/*',
+      '*/dashboard',
+      '*/dashboard/*',
+      '*/login',
+      '*/login/*'
+    ];
+  }
+
+  // 網站規則可覆寫的設定項目
+  static get OVERRIDABLE_KEYS() {
+    return ['minHeadings', 'minTextLength', 'supportedHeadings', 'position', 'profile', 'headingBlocklist'];
+  }
+
+  /**
+   * 評估網址是否允許啟用
+   * @param {string} url - 完整網址
+   * @param {Object} settings - smartTocSettings
+   * @returns {{ allowed: boolean, reason: string|null, rule: Object|null }}
+   */
+  static evaluate(url, settings = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { allowed: false, reason: '無效的網址', rule: null };
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { allowed: false, reason: '不支援此類型頁面', rule: null };
+    }
+
+    if (settings.enabled === false) {
+      return { allowed: false, reason: 'Smart TOC 已停用', rule: null };
+    }
+
+    // 使用者的網站規則優先於所有內建規則
+    const rule = this.findMatchingRule(parsed, settings.siteRules || []);
+    if (rule) {
+      if (rule.action === 'deny') {
+        return { allowed: false, reason: `已被網站規則停用: ${rule.pattern}`, rule };
+      }
+      if (rule.action === 'allow') {
+        return { allowed: true, reason: null, rule };
+      }
+    }
+
+    const excludedSites = settings.excludedSites || [];
+    const excluded = excludedSites.find(pattern => this.matchURLGlob(pattern, parsed.href));
+    if (excluded) {
+      return { allowed: false, reason: `已排除的網站: ${excluded}`, rule: null };
+    }
+
+    // 內建路徑不分大小寫，/Admin、/Login 同樣停用
+    const pathname = parsed.pathname.toLowerCase();
+    const deniedPath = this.BUILTIN_DENIED_PATHS.find(pattern => this.matchPathGlob(pattern, pathname));
+    if (deniedPath) {
+      return { allowed: false, reason: '管理後台或登入頁面', rule: null };
+    }
+
+    return { allowed: true, reason: null, rule: rule || null };
+  }
+
+  /**
+   * 合併所有符合網址的規則覆寫，產生該網站的實際設定
+   * 較不具體的規則先套用，較具體的規則後套用以覆蓋前者
+   * @param {string} url - 完整網址
+   * @param {Object} settings - smartTocSettings
+   * @returns {Object} 合併後的設定
+   */
+  static resolveSettings(url, settings = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { ...settings };
+    }
+
+    const matches = (settings.siteRules || [])
+      .filter(rule => rule && rule.pattern && this.matchSitePattern(rule.pattern, parsed))
+      .sort((a, b) => this.getSpecificity(a.pattern) - this.getSpecificity(b.pattern));
+
+    const effective = { ...settings };
+    matches.forEach(rule => {
+      const overrides = rule.overrides || {};
+      this.OVERRIDABLE_KEYS.forEach(key => {
+        if (overrides[key] !== undefined && overrides[key] !== null) {
+          effective[key] = overrides[key];
+        }
+      });
+    });
+
+    return effective;
+  }
+
+  /**
+   * 找出最符合的啟用/停用規則：越具體（非萬用字元越多）的規則優先，同分時 deny 優先
+   * action 為 'default' 的規則只提供覆寫設定，不參與判斷
+   */
+  static findMatchingRule(parsed, rules) {
+    let best = null;
+    let bestScore = -1;
+
+    rules.forEach(rule => {
+      if (!rule || !rule.pattern || (rule.action !== 'allow' && rule.action !== 'deny')) {
+        return;
+      }
+
+      if (!this.matchSitePattern(rule.pattern, parsed)) {
+        return;
+      }
+
+      const score = this.getSpecificity(rule.pattern);
+      if (score > bestScore || (score === bestScore && rule.action === 'deny')) {
+        best = rule;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  static getSpecificity(pattern) {
+    return pattern.replace(/\*/g, '').length;
+  }
+
+  /**
+   * 匹配「主機[路徑]」格式的規則
+   */
+  static matchSitePattern(pattern, parsed) {
+    const trimmed = pattern.trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+    const slashIndex = trimmed.indexOf('/');
+    const hostPattern = slashIndex === -1 ? trimmed : trimmed.slice(0, slashIndex);
+    const pathPattern = slashIndex === -1 ? null : trimmed.slice(slashIndex);
+
+    if (!this.matchHostGlob(hostPattern, parsed.hostname.toLowerCase())) {
+      return false;
+    }
+
+    if (pathPattern === null) {
+      return true;
+    }
+
+    return this.matchPathGlob(pathPattern, parsed.pathname.toLowerCase());
+  }
+
+  static matchHostGlob(pattern, hostname) {
+    if (!pattern || pattern === '*') {
+      return true;
+    }
+
+    // '*.example.com' 同時匹配 example.com 與其所有子網域
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      const regex = new RegExp(`^(?:[^/]+\\.)?${this.globToRegexSource(base, '[^./]*')}$`);
+      return regex.test(hostname);
+    }
+
+    const regex = new RegExp(`^${this.globToRegexSource(pattern, '[^./]*')}$`);
+    return regex.test(hostname);
+  }
+
+  static matchPathGlob(pattern, pathname) {
+    const regex = new RegExp(`^${this.globToRegexSource(pattern, '.*')}$`);
+    return regex.test(pathname);
+  }
+
+  static matchURLGlob(pattern, url) {
+    const regex = new RegExp(`^${this.globToRegexSource(pattern, '.*')}$`);
+    return regex.test(url);
+  }
+
+  /**
+   * 將萬用字元轉為正規表達式，跳脫所有特殊字元
+   * @param {string} glob
+   * @param {string} wildcard - * 對應的正規表達式片段
+   */
+  static globToRegexSource(glob, wildcard) {
+    return glob
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join(wildcard);
+  }
+}